@@ -1,14 +1,20 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js"
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js"
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js"
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js"
+import { ErrorCode, McpError, SetLevelRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema, isInitializeRequest } from "@modelcontextprotocol/sdk/types.js"
 import { VERSION } from "./version.js"
 import { z } from "zod"
+import yaml from 'js-yaml'
 import fs from 'fs'
 import path from 'path'
 import os from 'os'
 import { fileURLToPath } from 'url'
 import crypto from 'crypto'
+import http from 'http'
+import { AsyncLocalStorage } from 'async_hooks'
 
 // Get application directory for fallback
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
@@ -16,6 +22,105 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url))
 // Storage configuration
 const APP_NAME = 'mcp-change-plan'
 const STORAGE_FILE_NAME = 'change_plans.json'
+const SQLITE_FILE_NAME = 'change_plans.db'
+const HISTORY_FILE_NAME = 'change_plan_history.jsonl'
+const TEMPLATES_FILE_NAME = 'change_plan_templates.json'
+
+// Storage backend: 'json' (default) or 'sqlite'
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase()
+
+// Number of timestamped backups the JSON store keeps (0 disables backups)
+const BACKUP_DIR_NAME = 'backups'
+const BACKUP_COUNT = parseInt(process.env.STORAGE_BACKUP_COUNT || '10', 10)
+
+// Number of audit history events kept per plan, the oldest being dropped
+// first (0 keeps the whole history)
+const HISTORY_LIMIT = parseInt(process.env.STORAGE_HISTORY_LIMIT || '1000', 10)
+
+// Get the value following a command line flag, e.g. --port 3000
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag)
+  return index !== -1 ? process.argv[index + 1] : undefined
+}
+
+// Transport: 'stdio' (default), or 'http' with --http or MCP_TRANSPORT=http
+// to serve several clients from one process
+const TRANSPORT = process.argv.includes('--http') ? 'http' : (process.env.MCP_TRANSPORT || 'stdio').toLowerCase()
+const HTTP_PORT = parseInt(getArgValue('--port') || process.env.MCP_PORT || '3000', 10)
+const HTTP_HOST = getArgValue('--host') || process.env.MCP_HOST || '127.0.0.1'
+const HTTP_MAX_BODY_BYTES = 4 * 1024 * 1024
+
+// Streamable HTTP sessions without a request for this many seconds are closed
+// (0 keeps them until the client ends them)
+const HTTP_SESSION_TIMEOUT = parseInt(getArgValue('--session-timeout') || process.env.MCP_SESSION_TIMEOUT || '1800', 10)
+
+// Bearer tokens for the HTTP mode, with the scopes each one grants
+const TOKENS_FILE = getArgValue('--tokens-file') || process.env.MCP_TOKENS_FILE
+
+// Logging. Log lines go to stderr, never stdout, which carries the protocol in
+// stdio mode, or to LOG_FILE if set. LOG_FORMAT=json writes one JSON object
+// per line. Connected clients also receive log messages as MCP
+// notifications/message, from the level they set with logging/setLevel.
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency']
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info'
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase()
+const LOG_FILE = process.env.LOG_FILE
+
+// Connected servers -> the log level their client asked for (LOG_LEVEL until it does)
+const clientLogLevels = new Map()
+
+function isLogLevelEnabled(level, minimumLevel) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimumLevel)
+}
+
+// Whether writing to LOG_FILE has failed, so the failure is reported once
+let logFileFailed = false
+
+function writeLog(level, message, data = {}) {
+  const time = new Date().toISOString()
+
+  if (isLogLevelEnabled(level, LOG_LEVEL)) {
+    const line = LOG_FORMAT === 'json'
+      ? JSON.stringify({ time, level, message, ...data })
+      : `${time} [${level}] ${message}${Object.keys(data).length > 0 ? ` ${JSON.stringify(data)}` : ''}`
+
+    // A log file that can't be written to must not break the tool call that
+    // logged, so its lines go to stderr instead
+    let written = false
+    if (LOG_FILE) {
+      try {
+        fs.appendFileSync(LOG_FILE, `${line}\n`, 'utf8')
+        written = true
+      } catch (error) {
+        if (!logFileFailed) {
+          logFileFailed = true
+          process.stderr.write(`${time} [error] Cannot write to log file ${LOG_FILE}, logging to stderr instead: ${error.message}\n`)
+        }
+      }
+    }
+    if (!written) {
+      process.stderr.write(`${line}\n`)
+    }
+  }
+
+  for (const [server, clientLevel] of clientLogLevels) {
+    // Only send to clients that have finished initializing
+    if (!server.isConnected() || !server.server.getClientVersion() || !isLogLevelEnabled(level, clientLevel)) {
+      continue
+    }
+
+    server.server.sendLoggingMessage({ level, logger: APP_NAME, data: { message, ...data } }).catch(error => {
+      process.stderr.write(`${time} [error] Cannot send log message to client: ${error.message}\n`)
+    })
+  }
+}
+
+const logger = {
+  debug: (message, data) => writeLog('debug', message, data),
+  info: (message, data) => writeLog('info', message, data),
+  warning: (message, data) => writeLog('warning', message, data),
+  error: (message, data) => writeLog('error', message, data)
+}
 
 // Create a unique app ID to avoid conflicts with other instances
 const APP_ID = crypto.createHash('md5').update(__dirname).digest('hex').substring(0, 8)
@@ -50,7 +155,6 @@ function getStoragePaths() {
 function setupStorage() {
   const storageDirs = getStoragePaths()
   let usedDir = null
-  let storagePath = null
 
   for (const dir of storageDirs) {
     try {
@@ -65,1171 +169,6670 @@ function setupStorage() {
       fs.unlinkSync(testFile)
       
       usedDir = dir
-      storagePath = path.join(dir.path, STORAGE_FILE_NAME)
-      console.log(`Using ${dir.description} for storage: ${dir.path}`)
+      logger.info(`Using ${dir.description} for storage: ${dir.path}`)
       break
     } catch (err) {
-      console.warn(`Cannot use ${dir.description} for storage: ${err.message}`)
+      logger.warning(`Cannot use ${dir.description} for storage: ${err.message}`)
     }
   }
 
   if (!usedDir) {
-    console.error('CRITICAL: No valid storage location found. Plans will only be stored in memory!')
+    logger.error('No valid storage location found. Plans will only be stored in memory!')
     return null
   }
 
-  return storagePath
+  return usedDir.path
 }
 
-// Set up storage path
-const PLANS_FILE = setupStorage()
-
-const server = new McpServer({
-  name: "Change Plan MCP Server",
-  version: VERSION,
-})
-
-// Initialize storage
-const changePlans = new Map()
-
-// Error handling utilities
-const ErrorCodes = {
-  NOT_FOUND: 'NOT_FOUND',
-  INVALID_INPUT: 'INVALID_INPUT',
-  STORAGE_ERROR: 'STORAGE_ERROR',
-  INTERNAL_ERROR: 'INTERNAL_ERROR'
-}
+// Write a file atomically: write and flush a temporary file next to it, then
+// rename it into place, so a crash never leaves a truncated file behind
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  const fd = fs.openSync(tempPath, 'w')
 
-function createError(code, message, details = null) {
-  const error = {
-    error: true,
-    code,
-    message
+  try {
+    fs.writeFileSync(fd, data, 'utf8')
+    fs.fsyncSync(fd)
+  } finally {
+    fs.closeSync(fd)
   }
-  
-  if (details) {
-    error.details = details
+
+  try {
+    fs.renameSync(tempPath, filePath)
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true })
+    throw err
   }
-  
-  return error
 }
 
-function handleError(error) {
-  console.error(`[ERROR] ${error.message}`)
-  if (error.stack) {
-    console.error(error.stack)
-  }
-  
-  let code = ErrorCodes.INTERNAL_ERROR
-  let message = 'An unexpected error occurred'
-  
-  if (error.code === 'ENOENT' || error.message.includes('not found')) {
-    code = ErrorCodes.NOT_FOUND
-    message = error.message
-  } else if (error.name === 'ZodError' || error.message.includes('invalid')) {
-    code = ErrorCodes.INVALID_INPUT
-    message = error.message
-  } else if (error.code === 'EACCES' || error.code === 'ENOSPC') {
-    code = ErrorCodes.STORAGE_ERROR
-    message = `Storage error: ${error.message}`
+// Read and parse a file of stored plans, checking it holds a list of plans
+function readPlansFile(filePath) {
+  const plans = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+
+  if (!Array.isArray(plans)) {
+    throw new StorageError(`${filePath} does not contain a list of change plans`)
   }
-  
-  return createError(code, message, error.details || error.stack)
+
+  return plans
 }
 
-// Load existing plans from file if exists
-function loadPlans() {
+// Call fn with each non-empty line of a file, reading it in chunks so the
+// whole file is never held in memory
+function forEachLine(filePath, fn) {
+  const fd = fs.openSync(filePath, 'r')
+  const chunk = Buffer.alloc(64 * 1024)
+  let rest = Buffer.alloc(0)
+
   try {
-    if (PLANS_FILE && fs.existsSync(PLANS_FILE)) {
-      const data = fs.readFileSync(PLANS_FILE, 'utf8')
-      const plans = JSON.parse(data)
-      
-      plans.forEach(plan => {
-        changePlans.set(plan.id, plan)
-      })
-      
-      console.log(`Loaded ${plans.length} change plans from storage`)
+    let bytesRead
+    while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      let buffer = Buffer.concat([rest, chunk.subarray(0, bytesRead)])
+      let newline
+      while ((newline = buffer.indexOf(10)) !== -1) {
+        const line = buffer.toString('utf8', 0, newline)
+        if (line.trim()) {
+          fn(line)
+        }
+        buffer = buffer.subarray(newline + 1)
+      }
+      rest = Buffer.from(buffer)
     }
-  } catch (error) {
-    console.error(`Error loading change plans: ${error.message}`)
-    // Continue execution even if loading fails
+  } finally {
+    fs.closeSync(fd)
   }
-}
 
-// Save plans to file
-function savePlans() {
-  if (!PLANS_FILE) {
-    console.warn('No storage path available. Plans will only be stored in memory!')
-    return false
+  const line = rest.toString('utf8')
+  if (line.trim()) {
+    fn(line)
   }
-  
+}
+
+// How long to wait for another process to release the storage lock, and
+// after how long a lock left behind by a crashed process is considered stale
+const LOCK_TIMEOUT_MS = 5000
+const LOCK_STALE_MS = 30000
+
+// Block the current thread for a number of milliseconds
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+}
+
+// Check whether a lock file was left behind by a process that is gone, or has
+// been held for longer than any save could take
+function isLockStale(lockPath) {
   try {
-    const plans = Array.from(changePlans.values())
-    fs.writeFileSync(PLANS_FILE, JSON.stringify(plans, null, 2), 'utf8')
-    return true
-  } catch (error) {
-    console.error(`Error saving change plans: ${error.message}`)
+    const stats = fs.statSync(lockPath)
+    if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      return true
+    }
+
+    const { pid } = JSON.parse(fs.readFileSync(lockPath, 'utf8'))
+    process.kill(pid, 0)
     return false
+  } catch (err) {
+    // ESRCH: the owning process is gone. ENOENT: the lock was just released.
+    // A lock file that can't be parsed is still being written.
+    return err.code === 'ESRCH'
   }
 }
 
-// Load plans on startup
-loadPlans()
+// Run fn while holding an advisory lock file, so only one process writes to
+// the shared store at a time
+function withFileLock(lockPath, fn) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS
 
-/**
- * @api {tool} create_change_plan Create a new change plan
- * @apiName CreateChangePlan
- * @apiGroup ChangePlan
- * @apiDescription Create a new change plan with multiple steps
- * 
- * @apiParam {String} name Name of the change plan
- * @apiParam {Object[]} steps Array of step objects
- * @apiParam {String} steps.title Title of the step
- * @apiParam {String} steps.description Description of what needs to be done
- * @apiParam {String} [steps.context] Additional context for the step
- * @apiParam {String[]} [steps.dependsOn] Array of step IDs that must be completed before this step
- * @apiParam {String} [steps.priority] Priority level of the step: 'high', 'medium', or 'low' (default: 'medium')
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the created change plan
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("create_change_plan", "Create a new change plan with multiple steps. Steps can include a title, description, optional context, dependencies on other steps, and priority level.", {
-  name: z.string().min(1, "Name is required").describe("The name of the change plan"),
-  steps: z.array(
-    z.object({
-      title: z.string().min(1, "Step title is required").describe("Title of the step"),
-      description: z.string().min(1, "Step description is required").describe("Description of what needs to be done"),
-      context: z.string().optional().describe("Additional context for the step"),
-      dependsOn: z.array(z.string()).optional().describe("Array of step IDs that must be completed before this step"),
-      priority: z.enum(['high', 'medium', 'low']).optional().default('medium').describe("Priority level of the step: 'high', 'medium', or 'low'")
-    })
-  ).min(1, "At least one step is required").describe("Array of step objects")
-}, async ({ name, steps }) => {
-  try {
-    // Validate step dependencies
-    const stepIds = steps.map((_, index) => index.toString());
-    
-    for (let i = 0; i < steps.length; i++) {
-      const step = steps[i];
-      
-      if (step.dependsOn && step.dependsOn.length > 0) {
-        // Check if all dependencies exist
-        for (const depId of step.dependsOn) {
-          if (!stepIds.includes(depId)) {
-            return {
-              content: [{ 
-                type: "text", 
-                text: JSON.stringify(
-                  createError(
-                    ErrorCodes.INVALID_INPUT, 
-                    `Step ${i} depends on non-existent step ID: ${depId}`
-                  ), 
-                  null, 
-                  2
-                ) 
-              }]
-            };
-          }
-          
-          // Check for circular dependencies
-          if (depId === i.toString()) {
-            return {
-              content: [{ 
-                type: "text", 
-                text: JSON.stringify(
-                  createError(
-                    ErrorCodes.INVALID_INPUT, 
-                    `Step ${i} cannot depend on itself`
-                  ), 
-                  null, 
-                  2
-                ) 
-              }]
-            };
-          }
-        }
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }), { flag: 'wx' })
+      break
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err
       }
     }
-    
-    const id = Date.now().toString();
-    const changePlan = {
-      id,
-      name,
-      steps: steps.map((step, index) => ({
-        id: index.toString(),
-        title: step.title,
-        description: step.description,
-        context: step.context || "",
-        dependsOn: step.dependsOn || [],
-        priority: step.priority || 'medium',
-        completed: false,
-        createdAt: new Date().toISOString()
-      })),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    changePlans.set(id, changePlan);
-    
-    // Save plans to file
-    if (!savePlans()) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.STORAGE_ERROR, 
-              "Failed to save change plan to storage. The plan was created in memory only."
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+    if (isLockStale(lockPath)) {
+      logger.warning(`Removing stale storage lock ${lockPath}`)
+      fs.rmSync(lockPath, { force: true })
+    } else if (Date.now() > deadline) {
+      throw new StorageError(`Timed out waiting for the storage lock ${lockPath}`)
+    } else {
+      sleepSync(50)
     }
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(changePlan, null, 2) }]
-    };
-  } catch (error) {
-  return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
-  }
-});
-
-/**
- * @api {tool} get_change_plans Get all change plans
- * @apiName GetChangePlans
- * @apiGroup ChangePlan
- * @apiDescription Get a list of all change plans
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing all change plans
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("get_change_plans", "Get a list of all change plans.", {}, 
-async () => {
-  try {
-    const allPlans = Array.from(changePlans.values());
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(allPlans, null, 2) }]
-    };
-  } catch (error) {
-    return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
   }
-});
-
-/**
- * @api {tool} get_change_plan Get a specific change plan
- * @apiName GetChangePlan
- * @apiGroup ChangePlan
- * @apiDescription Get details of a specific change plan by ID
- * 
- * @apiParam {String} id ID of the change plan to retrieve
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the change plan
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("get_change_plan", "Get details of a specific change plan by ID.", {
-  id: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to retrieve")
-}, async ({ id }) => {
+
   try {
-    const changePlan = changePlans.get(id);
-    
-    if (!changePlan) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Change plan with ID ${id} not found`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
-    }
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(changePlan, null, 2) }]
-    };
-  } catch (error) {
-  return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
+    return fn()
+  } finally {
+    fs.rmSync(lockPath, { force: true })
   }
-});
-
-/**
- * @api {tool} get_next_step Get the next incomplete step from a change plan
- * @apiName GetNextStep
- * @apiGroup ChangePlan
- * @apiDescription Get the next incomplete step from a change plan, respecting step dependencies and considering priorities
- * 
- * @apiParam {String} planId ID of the change plan
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the next step or a completion message
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("get_next_step", "Get the next incomplete step from a change plan, respecting step dependencies and considering priorities.", {
-  planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan")
-}, async ({ planId }) => {
-  try {
-    const changePlan = changePlans.get(planId);
-    
-    if (!changePlan) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Change plan with ID ${planId} not found`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
-    }
-    
-    // Find all incomplete steps
-    const incompleteSteps = changePlan.steps.filter(step => !step.completed);
-    
-    if (incompleteSteps.length === 0) {
-      return {
-        content: [{ type: "text", text: JSON.stringify({ message: "All steps are completed!" }, null, 2) }]
-      };
-    }
-    
-    // Find steps that are ready to be worked on (all dependencies are complete)
-    const readySteps = incompleteSteps.filter(step => {
-      // If no dependencies, it's ready
-      if (!step.dependsOn || step.dependsOn.length === 0) {
-        return true;
+}
+
+// Storage adapters persist the change plans. Each adapter provides:
+// - description: where the plans are stored, for log messages
+// - load(): returns the stored plans as an array
+// - save(plans): persists the full list of plans, throwing on failure
+// - hasChanged(): whether another process changed the stored plans since
+//   they were last loaded or saved by this one
+// - withLock(fn): runs fn while holding a lock that keeps other processes
+//   from writing
+// - appendHistory(events): appends events to the audit history, dropping the
+//   oldest events of plans with more than HISTORY_LIMIT
+// - readHistory(planId): returns a plan's history events, oldest first
+// - loadTemplates(): returns the stored plan templates
+// - saveTemplate(template): adds a template, or replaces the one with its name
+// Adapters that keep backups also provide:
+// - listBackups(): returns the available backups, newest first
+// - readBackup(name): returns the plans stored in a backup
+
+// Stores all plans in a single JSON file, rewritten atomically on every save.
+// Before each save the current file is copied to a timestamped backup, keeping
+// the newest BACKUP_COUNT. If the file is corrupt, the newest valid backup is
+// loaded instead.
+function createJsonStorage(storageDir) {
+  const filePath = path.join(storageDir, STORAGE_FILE_NAME)
+  const historyPath = path.join(storageDir, HISTORY_FILE_NAME)
+  const templatesPath = path.join(storageDir, TEMPLATES_FILE_NAME)
+  const backupDir = path.join(storageDir, BACKUP_DIR_NAME)
+  const lockPath = `${filePath}.lock`
+  const backupPattern = /^change_plans-.+\.json$/
+
+  // Identifies the version of the file as last loaded or saved. The file is
+  // replaced on every save, so its inode changes along with size and mtime.
+  let loadedVersion = null
+
+  function getFileVersion() {
+    try {
+      const stats = fs.statSync(filePath)
+      return `${stats.ino}:${stats.size}:${stats.mtimeMs}`
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null
       }
-      
-      // Check if all dependencies are completed
-      return step.dependsOn.every(depId => {
-        const depStep = changePlan.steps.find(s => s.id === depId);
-        return depStep && depStep.completed;
-      });
-    });
-    
-    if (readySteps.length === 0) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({ 
-            message: "There are incomplete steps, but all have unmet dependencies.", 
-            incompleteSteps: incompleteSteps 
-          }, null, 2) 
-        }]
-      };
+      throw err
     }
-    
-    // Sort by priority: high > medium > low
-    const priorityOrder = { high: 0, medium: 1, low: 2 };
-    const sortedSteps = [...readySteps].sort((a, b) => {
-      return priorityOrder[a.priority || 'medium'] - priorityOrder[b.priority || 'medium'];
-    });
-    
-    // Return the highest priority ready step
-    return {
-      content: [{ type: "text", text: JSON.stringify(sortedSteps[0], null, 2) }]
-    };
-  } catch (error) {
-  return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
   }
-});
-
-/**
- * @api {tool} mark_step_complete Mark a step as complete
- * @apiName MarkStepComplete
- * @apiGroup ChangePlan
- * @apiDescription Mark a specific step in a change plan as complete
- * 
- * @apiParam {String} planId ID of the change plan
- * @apiParam {String} stepId ID of the step to mark as complete
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the updated step
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("mark_step_complete", "Mark a specific step in a change plan as complete.", {
-  planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
-  stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to mark as complete")
-}, async ({ planId, stepId }) => {
-  try {
-    const changePlan = changePlans.get(planId);
-    
-    if (!changePlan) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Change plan with ID ${planId} not found`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+  function listBackups() {
+    if (!fs.existsSync(backupDir)) {
+      return []
     }
-    
-    const step = changePlan.steps.find(s => s.id === stepId);
-    
-    if (!step) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Step with ID ${stepId} not found in plan ${planId}`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+    // Backup names contain their timestamp, so they sort chronologically
+    return fs.readdirSync(backupDir)
+      .filter(name => backupPattern.test(name))
+      .sort()
+      .reverse()
+      .map(name => {
+        const stats = fs.statSync(path.join(backupDir, name))
+        return { name, createdAt: stats.mtime.toISOString(), size: stats.size }
+      })
+  }
+
+  function createBackup() {
+    if (BACKUP_COUNT <= 0 || !fs.existsSync(filePath)) {
+      return
     }
-    
-    if (step.completed) {
-      return {
-        content: [{ type: "text", text: JSON.stringify({ 
-          message: "Step is already marked as complete",
-          step
-        }, null, 2) }]
-      };
+
+    fs.mkdirSync(backupDir, { recursive: true })
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+    fs.copyFileSync(filePath, path.join(backupDir, `change_plans-${timestamp}.json`))
+
+    // Rotate out the oldest backups
+    for (const backup of listBackups().slice(BACKUP_COUNT)) {
+      fs.rmSync(path.join(backupDir, backup.name), { force: true })
     }
-    
-    step.completed = true;
-    step.completedAt = new Date().toISOString();
-    changePlan.updatedAt = new Date().toISOString();
-    
-    // Save plans to file
-    if (!savePlans()) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.STORAGE_ERROR, 
-              "Failed to save changes to storage. The changes were applied in memory only."
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+  }
+
+  function readBackup(name) {
+    if (!listBackups().some(backup => backup.name === name)) {
+      throw new NotFoundError(`Backup ${name} not found`)
     }
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(step, null, 2) }]
-    };
-  } catch (error) {
-    return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
+    return readPlansFile(path.join(backupDir, name))
   }
-});
-
-/**
- * @api {tool} add_step Add a new step to a change plan
- * @apiName AddStep
- * @apiGroup ChangePlan
- * @apiDescription Add a new step to an existing change plan
- * 
- * @apiParam {String} planId ID of the change plan
- * @apiParam {String} title Title of the step
- * @apiParam {String} description Description of what needs to be done
- * @apiParam {String} [context] Additional context for the step
- * @apiParam {String[]} [dependsOn] Array of step IDs that must be completed before this step
- * @apiParam {String} [priority] Priority level of the step: 'high', 'medium', or 'low' (default: 'medium')
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the added step
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("add_step", "Add a new step to an existing change plan.", {
-  planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
-  title: z.string().min(1, "Title is required").describe("Title of the step"),
-  description: z.string().min(1, "Description is required").describe("Description of what needs to be done"),
-  context: z.string().optional().describe("Additional context for the step"),
-  dependsOn: z.array(z.string()).optional().describe("Array of step IDs that must be completed before this step"),
-  priority: z.enum(['high', 'medium', 'low']).optional().default('medium').describe("Priority level of the step: 'high', 'medium', or 'low'")
-}, async ({ planId, title, description, context, dependsOn = [], priority = 'medium' }) => {
-  try {
-    const changePlan = changePlans.get(planId);
-    
-    if (!changePlan) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Change plan with ID ${planId} not found`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+  // Events appended since the history was last compacted. Starts at the limit
+  // so the first save compacts a history left by earlier runs.
+  let appendedSinceCompaction = HISTORY_LIMIT
+
+  // Rewrite the history keeping the newest HISTORY_LIMIT events of each plan
+  function compactHistory() {
+    appendedSinceCompaction = 0
+
+    if (!fs.existsSync(historyPath)) {
+      return
     }
-    
-    // Validate dependencies
-    const stepIds = changePlan.steps.map(step => step.id);
-    for (const depId of dependsOn) {
-      if (!stepIds.includes(depId)) {
-        return {
-          content: [{ 
-            type: "text", 
-            text: JSON.stringify(
-              createError(
-                ErrorCodes.INVALID_INPUT, 
-                `New step depends on non-existent step ID: ${depId}`
-              ), 
-              null, 
-              2
-            ) 
-          }]
-        };
-      }
-    }
-    
-    const newStepId = changePlan.steps.length.toString();
-    const newStep = {
-      id: newStepId,
-      title,
-      description,
-      context: context || "",
-      dependsOn: dependsOn || [],
-      priority,
-      completed: false,
-      createdAt: new Date().toISOString()
-    };
-    
-    changePlan.steps.push(newStep);
-    changePlan.updatedAt = new Date().toISOString();
-    
-    // Save plans to file
-    if (!savePlans()) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.STORAGE_ERROR, 
-              "Failed to save changes to storage. The changes were applied in memory only."
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+    const counts = new Map()
+    forEachLine(historyPath, line => {
+      const { planId } = JSON.parse(line)
+      counts.set(planId, (counts.get(planId) || 0) + 1)
+    })
+
+    if (![...counts.values()].some(count => count > HISTORY_LIMIT)) {
+      return
     }
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(newStep, null, 2) }]
-    };
-  } catch (error) {
-    return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
+
+    const kept = []
+    forEachLine(historyPath, line => {
+      const { planId } = JSON.parse(line)
+      const remaining = counts.get(planId)
+      counts.set(planId, remaining - 1)
+      if (remaining <= HISTORY_LIMIT) {
+        kept.push(`${line}\n`)
+      }
+    })
+
+    writeFileAtomic(historyPath, kept.join(''))
   }
-});
-
-/**
- * @api {tool} update_step Update an existing step
- * @apiName UpdateStep
- * @apiGroup ChangePlan
- * @apiDescription Update details of an existing step in a change plan
- * 
- * @apiParam {String} planId ID of the change plan
- * @apiParam {String} stepId ID of the step to update
- * @apiParam {String} [title] New title of the step
- * @apiParam {String} [description] New description of what needs to be done
- * @apiParam {String} [context] New additional context for the step
- * @apiParam {String[]} [dependsOn] New array of step IDs that must be completed before this step
- * @apiParam {String} [priority] New priority level of the step: 'high', 'medium', or 'low'
- * @apiParam {Boolean} [completed] New completion status
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the updated step
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("update_step", "Update details of an existing step in a change plan.", {
-  planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
-  stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to update"),
-  title: z.string().optional().describe("New title of the step"),
-  description: z.string().optional().describe("New description of what needs to be done"),
-  context: z.string().optional().describe("New additional context for the step"),
-  dependsOn: z.array(z.string()).optional().describe("New array of step IDs that must be completed before this step"),
-  priority: z.enum(['high', 'medium', 'low']).optional().describe("New priority level of the step: 'high', 'medium', or 'low'"),
-  completed: z.boolean().optional().describe("New completion status")
-}, async ({ planId, stepId, title, description, context, dependsOn, priority, completed }) => {
-  try {
-    const changePlan = changePlans.get(planId);
-    
-    if (!changePlan) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Change plan with ID ${planId} not found`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+  function loadTemplates() {
+    if (!fs.existsSync(templatesPath)) {
+      return []
     }
-    
-    const step = changePlan.steps.find(s => s.id === stepId);
-    
-    if (!step) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Step with ID ${stepId} not found in plan ${planId}`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+    const templates = JSON.parse(fs.readFileSync(templatesPath, 'utf8'))
+
+    if (!Array.isArray(templates)) {
+      throw new StorageError(`${templatesPath} does not contain a list of templates`)
     }
-    
-    let hasChanges = false;
-    
-    if (title !== undefined && title !== step.title) {
-      step.title = title;
-      hasChanges = true;
-    }
-    
-    if (description !== undefined && description !== step.description) {
-      step.description = description;
-      hasChanges = true;
-    }
-    
-    if (context !== undefined && context !== step.context) {
-      step.context = context;
-      hasChanges = true;
-    }
-    
-    if (dependsOn !== undefined) {
-      // Validate dependencies
-      const stepIds = changePlan.steps.map(s => s.id);
-      for (const depId of dependsOn) {
-        if (!stepIds.includes(depId)) {
-          return {
-            content: [{ 
-              type: "text", 
-              text: JSON.stringify(
-                createError(
-                  ErrorCodes.INVALID_INPUT, 
-                  `Step depends on non-existent step ID: ${depId}`
-                ), 
-                null, 
-                2
-              ) 
-            }]
-          };
-        }
-        
-        if (depId === stepId) {
-          return {
-            content: [{ 
-              type: "text", 
-              text: JSON.stringify(
-                createError(
-                  ErrorCodes.INVALID_INPUT, 
-                  `Step cannot depend on itself`
-                ), 
-                null, 
-                2
-              ) 
-            }]
-          };
-        }
+
+    return templates
+  }
+
+  return {
+    description: `JSON file ${filePath}`,
+
+    load() {
+      loadedVersion = getFileVersion()
+
+      if (!fs.existsSync(filePath)) {
+        return []
       }
-      
-      // Check if dependencies changed
-      const depsChanged = dependsOn.length !== step.dependsOn.length || 
-        dependsOn.some(id => !step.dependsOn.includes(id)) ||
-        step.dependsOn.some(id => !dependsOn.includes(id));
-        
-      if (depsChanged) {
-        step.dependsOn = dependsOn;
-        hasChanges = true;
+
+      try {
+        return readPlansFile(filePath)
+      } catch (err) {
+        logger.error(`Change plans file is corrupt: ${err.message}`)
       }
-    }
-    
-    if (priority !== undefined && priority !== step.priority) {
-      step.priority = priority;
-      hasChanges = true;
-    }
-    
-    if (completed !== undefined && completed !== step.completed) {
-      // Check if all dependencies are completed
-      if (completed && step.dependsOn && step.dependsOn.length > 0) {
-        const uncompletedDeps = step.dependsOn.filter(depId => {
-          const depStep = changePlan.steps.find(s => s.id === depId);
-          return depStep && !depStep.completed;
-        });
-        
-        if (uncompletedDeps.length > 0) {
-          return {
-            content: [{ 
-              type: "text", 
-              text: JSON.stringify(
-                createError(
-                  ErrorCodes.INVALID_INPUT, 
-                  `Cannot mark step as completed because it has uncompleted dependencies: ${uncompletedDeps.join(', ')}`
-                ), 
-                null, 
-                2
-              ) 
-            }]
-          };
+
+      // Keep the corrupt file for inspection, then recover from the newest valid backup
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`
+      fs.renameSync(filePath, corruptPath)
+      loadedVersion = null
+      logger.warning(`Moved corrupt change plans file to ${corruptPath}`)
+
+      for (const backup of listBackups()) {
+        try {
+          const plans = readBackup(backup.name)
+          logger.warning(`Recovered change plans from backup ${backup.name}`)
+          return plans
+        } catch (err) {
+          logger.error(`Cannot recover from backup ${backup.name}: ${err.message}`)
         }
       }
-      
-      step.completed = completed;
-      if (completed) {
-        step.completedAt = new Date().toISOString();
+
+      throw new StorageError('No valid backup found to recover change plans from')
+    },
+
+    save(plans) {
+      createBackup()
+      writeFileAtomic(filePath, JSON.stringify(plans, null, 2))
+      loadedVersion = getFileVersion()
+    },
+
+    hasChanged() {
+      return getFileVersion() !== loadedVersion
+    },
+
+    withLock(fn) {
+      return withFileLock(lockPath, fn)
+    },
+
+    // One event per line, so events are appended without rewriting the file.
+    // Every HISTORY_LIMIT events the file is compacted, which also trims a
+    // history written before the limit was set.
+    appendHistory(events) {
+      if (events.length > 0) {
+        fs.appendFileSync(historyPath, events.map(event => `${JSON.stringify(event)}\n`).join(''), 'utf8')
+        appendedSinceCompaction += events.length
+      }
+
+      if (HISTORY_LIMIT > 0 && appendedSinceCompaction >= HISTORY_LIMIT) {
+        compactHistory()
+      }
+    },
+
+    // Only the lines of the plan's events are parsed. Events are written with
+    // JSON.stringify, so those lines contain its planId exactly like this.
+    readHistory(planId) {
+      if (!fs.existsSync(historyPath)) {
+        return []
+      }
+
+      const marker = `"planId":${JSON.stringify(planId)}`
+      const events = []
+
+      forEachLine(historyPath, line => {
+        if (line.includes(marker)) {
+          const event = JSON.parse(line)
+          if (event.planId === planId) {
+            events.push(event)
+          }
+        }
+      })
+
+      return events
+    },
+
+    loadTemplates,
+
+    saveTemplate(template) {
+      const templates = loadTemplates()
+      const index = templates.findIndex(existing => existing.name === template.name)
+
+      if (index === -1) {
+        templates.push(template)
       } else {
-        delete step.completedAt;
+        templates[index] = template
       }
-      hasChanges = true;
+
+      writeFileAtomic(templatesPath, JSON.stringify(templates, null, 2))
+    },
+
+    listBackups,
+    readBackup
+  }
+}
+
+// Stores plans and steps as rows in a SQLite database using node:sqlite
+// (Node.js 22.5 or later). Saves run in a transaction and only write the
+// plans and steps that changed since the last load or save. SQLite's own
+// locking keeps processes sharing the database from writing at the same time.
+async function createSqliteStorage(storageDir) {
+  const { DatabaseSync } = await import('node:sqlite')
+  const filePath = path.join(storageDir, SQLITE_FILE_NAME)
+  const db = new DatabaseSync(filePath)
+
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA busy_timeout = ${LOCK_TIMEOUT_MS};
+    CREATE TABLE IF NOT EXISTS plans (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS steps (
+      plan_id TEXT NOT NULL,
+      id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (plan_id, id)
+    );
+    CREATE TABLE IF NOT EXISTS history (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS history_plan ON history (plan_id, seq);
+    CREATE TABLE IF NOT EXISTS templates (
+      name TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+  `)
+
+  const statements = {
+    selectPlans: db.prepare('SELECT id, data FROM plans ORDER BY rowid'),
+    selectSteps: db.prepare('SELECT plan_id, id, position, data FROM steps ORDER BY plan_id, position'),
+    upsertPlan: db.prepare('INSERT INTO plans (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data'),
+    deletePlan: db.prepare('DELETE FROM plans WHERE id = ?'),
+    upsertStep: db.prepare('INSERT INTO steps (plan_id, id, position, data) VALUES (?, ?, ?, ?) ON CONFLICT (plan_id, id) DO UPDATE SET position = excluded.position, data = excluded.data'),
+    deleteStep: db.prepare('DELETE FROM steps WHERE plan_id = ? AND id = ?'),
+    deletePlanSteps: db.prepare('DELETE FROM steps WHERE plan_id = ?'),
+    insertHistory: db.prepare('INSERT INTO history (plan_id, data) VALUES (?, ?)'),
+    selectHistory: db.prepare('SELECT data FROM history WHERE plan_id = ? ORDER BY seq'),
+    trimHistory: db.prepare('DELETE FROM history WHERE plan_id = ? AND seq <= (SELECT seq FROM history WHERE plan_id = ? ORDER BY seq DESC LIMIT 1 OFFSET ?)'),
+    selectTemplates: db.prepare('SELECT data FROM templates ORDER BY rowid'),
+    upsertTemplate: db.prepare('INSERT INTO templates (name, data) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data'),
+    dataVersion: db.prepare('PRAGMA data_version')
+  }
+
+  // The rows as last read or written: planId -> { data, steps: stepId -> { position, data } }.
+  // Null when unknown, after a failed transaction.
+  let written = new Map()
+
+  // data_version changes whenever another connection commits
+  let loadedVersion = null
+
+  // Whether a transaction is open through withLock
+  let locked = false
+
+  // Steps are stored in their own rows. The plan row keeps an empty steps
+  // array so the plan's keys come back in the same order.
+  function serializePlan(plan) {
+    return JSON.stringify({ ...plan, steps: [] })
+  }
+
+  function load() {
+    const stepRows = statements.selectSteps.all()
+    written = new Map()
+    loadedVersion = statements.dataVersion.get().data_version
+
+    return statements.selectPlans.all().map(row => {
+      const rows = stepRows.filter(stepRow => stepRow.plan_id === row.id)
+      written.set(row.id, {
+        data: row.data,
+        steps: new Map(rows.map(stepRow => [stepRow.id, { position: stepRow.position, data: stepRow.data }]))
+      })
+
+      const plan = JSON.parse(row.data)
+      plan.steps = rows.map(stepRow => JSON.parse(stepRow.data))
+      return plan
+    })
+  }
+
+  return {
+    description: `SQLite database ${filePath}`,
+
+    load,
+
+    save(plans) {
+      if (!written) {
+        load()
+      }
+
+      const nextWritten = new Map()
+
+      if (!locked) {
+        db.exec('BEGIN')
+      }
+      try {
+        for (const plan of plans) {
+          const previous = written.get(plan.id)
+          const data = serializePlan(plan)
+          const stepRows = new Map()
+
+          if (!previous || previous.data !== data) {
+            statements.upsertPlan.run(plan.id, data)
+          }
+
+          plan.steps.forEach((step, position) => {
+            const stepData = JSON.stringify(step)
+            const previousStep = previous && previous.steps.get(step.id)
+
+            if (!previousStep || previousStep.data !== stepData || previousStep.position !== position) {
+              statements.upsertStep.run(plan.id, step.id, position, stepData)
+            }
+            stepRows.set(step.id, { position, data: stepData })
+          })
+
+          if (previous) {
+            for (const stepId of previous.steps.keys()) {
+              if (!stepRows.has(stepId)) {
+                statements.deleteStep.run(plan.id, stepId)
+              }
+            }
+          }
+
+          nextWritten.set(plan.id, { data, steps: stepRows })
+        }
+
+        for (const planId of written.keys()) {
+          if (!nextWritten.has(planId)) {
+            statements.deletePlanSteps.run(planId)
+            statements.deletePlan.run(planId)
+          }
+        }
+
+        if (!locked) {
+          db.exec('COMMIT')
+        }
+      } catch (error) {
+        if (!locked) {
+          db.exec('ROLLBACK')
+        }
+        written = null
+        throw error
+      }
+
+      written = nextWritten
+    },
+
+    hasChanged() {
+      return statements.dataVersion.get().data_version !== loadedVersion
+    },
+
+    withLock(fn) {
+      db.exec('BEGIN IMMEDIATE')
+      locked = true
+      try {
+        const result = fn()
+        db.exec('COMMIT')
+        return result
+      } catch (error) {
+        db.exec('ROLLBACK')
+        written = null
+        throw error
+      } finally {
+        locked = false
+      }
+    },
+
+    appendHistory(events) {
+      for (const event of events) {
+        statements.insertHistory.run(event.planId, JSON.stringify(event))
+      }
+
+      if (HISTORY_LIMIT > 0) {
+        for (const planId of new Set(events.map(event => event.planId))) {
+          statements.trimHistory.run(planId, planId, HISTORY_LIMIT)
+        }
+      }
+    },
+
+    readHistory(planId) {
+      return statements.selectHistory.all(planId).map(row => JSON.parse(row.data))
+    },
+
+    loadTemplates() {
+      return statements.selectTemplates.all().map(row => JSON.parse(row.data))
+    },
+
+    saveTemplate(template) {
+      statements.upsertTemplate.run(template.name, JSON.stringify(template))
+    }
+  }
+}
+
+// Create the storage adapter selected by STORAGE_BACKEND. Falls back to the
+// JSON file if the selected backend can't be used.
+async function createStorageAdapter(storageDir) {
+  if (!storageDir) {
+    return null
+  }
+
+  if (STORAGE_BACKEND === 'sqlite') {
+    try {
+      return await createSqliteStorage(storageDir)
+    } catch (err) {
+      logger.warning(`Cannot use SQLite storage, falling back to JSON: ${err.message}`)
+    }
+  } else if (STORAGE_BACKEND !== 'json') {
+    logger.warning(`Unknown STORAGE_BACKEND '${STORAGE_BACKEND}', falling back to JSON`)
+  }
+
+  return createJsonStorage(storageDir)
+}
+
+// Set up storage
+const storage = await createStorageAdapter(setupStorage())
+
+// Initialize storage
+const changePlans = new Map()
+
+// The connected servers with the resource URIs each one's client has
+// subscribed to, and the last published JSON of each plan so saves only
+// notify about plans that actually changed
+const PLANS_RESOURCE_URI = 'change-plan://plans'
+const resourceSubscriptions = new Map()
+const planSnapshots = new Map()
+
+// Inverted index of the steps' text for search_steps: the steps each word
+// occurs in, as "planId:stepId", and the words indexed for each plan with
+// the revision they were indexed at. Kept up to date as plans are loaded
+// and saved.
+const stepIndex = {
+  postings: new Map(),
+  plans: new Map()
+}
+
+// The server (and so the client) handling the current request
+const requestContext = new AsyncLocalStorage()
+
+// The JSON of each plan as last loaded from or saved to storage. This is the
+// common base when merging with changes other processes made to the store.
+const storedPlans = new Map()
+
+// Error handling utilities
+const ErrorCodes = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_INPUT: 'INVALID_INPUT',
+  STORAGE_ERROR: 'STORAGE_ERROR',
+  CONFLICT: 'CONFLICT',
+  FORBIDDEN: 'FORBIDDEN',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+}
+
+function createError(code, message, details = null) {
+  const error = {
+    error: true,
+    code,
+    message
+  }
+  
+  if (details) {
+    error.details = details
+  }
+  
+  return error
+}
+
+// Exceptions carrying one of the error codes above. Thrown out of helpers and
+// tool handlers, and turned into error results by handleError.
+class ChangePlanError extends Error {
+  constructor(code, message, details = null) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    this.details = details
+  }
+}
+
+class NotFoundError extends ChangePlanError {
+  constructor(message, details) {
+    super(ErrorCodes.NOT_FOUND, message, details)
+  }
+}
+
+class InvalidInputError extends ChangePlanError {
+  constructor(message, details) {
+    super(ErrorCodes.INVALID_INPUT, message, details)
+  }
+}
+
+class StorageError extends ChangePlanError {
+  constructor(message, details) {
+    super(ErrorCodes.STORAGE_ERROR, message, details)
+  }
+}
+
+// A change that conflicts with a change another client or process made
+class ConflictError extends ChangePlanError {
+  constructor(message, details) {
+    super(ErrorCodes.CONFLICT, message, details)
+  }
+}
+
+class ForbiddenError extends ChangePlanError {
+  constructor(message, details) {
+    super(ErrorCodes.FORBIDDEN, message, details)
+  }
+}
+
+function handleError(error) {
+  let code = ErrorCodes.INTERNAL_ERROR
+  let message = 'An unexpected error occurred'
+  
+  if (error instanceof ChangePlanError) {
+    code = error.code
+    message = error.message
+  } else if (error instanceof z.ZodError) {
+    code = ErrorCodes.INVALID_INPUT
+    message = error.message
+  } else if (error.code === 'ENOENT') {
+    code = ErrorCodes.NOT_FOUND
+    message = error.message
+  } else if (error.code === 'EACCES' || error.code === 'ENOSPC') {
+    code = ErrorCodes.STORAGE_ERROR
+    message = `Storage error: ${error.message}`
+  }
+  
+  // Errors caused by the request are warnings, anything else is a server error
+  if (code === ErrorCodes.INTERNAL_ERROR || code === ErrorCodes.STORAGE_ERROR) {
+    logger.error(error.message, { code, stack: error.stack })
+  } else {
+    logger.warning(error.message, { code })
+  }
+  
+  // Errors the server raised on purpose carry their own details, anything
+  // else its stack
+  return createError(code, message, error instanceof ChangePlanError ? error.details : error.stack)
+}
+
+// The result of a successful tool call: the output as structured content, and
+// as text for clients that don't read structured content, JSON unless given
+function createToolResult(output, text = JSON.stringify(output, null, 2)) {
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: output
+  }
+}
+
+// The result of a failed tool call. isError tells the client the call failed.
+function createErrorResult(error) {
+  return {
+    content: [{ type: "text", text: JSON.stringify(error, null, 2) }],
+    isError: true
+  }
+}
+
+// Step lifecycle states
+const StepStatus = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  BLOCKED: 'blocked',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+  DONE: 'done'
+}
+
+const STEP_STATUSES = Object.values(StepStatus)
+
+// Allowed transitions between step states
+const STEP_TRANSITIONS = {
+  [StepStatus.PENDING]: [StepStatus.IN_PROGRESS, StepStatus.BLOCKED, StepStatus.SKIPPED, StepStatus.DONE],
+  [StepStatus.IN_PROGRESS]: [StepStatus.PENDING, StepStatus.BLOCKED, StepStatus.FAILED, StepStatus.SKIPPED, StepStatus.DONE],
+  [StepStatus.BLOCKED]: [StepStatus.PENDING, StepStatus.IN_PROGRESS, StepStatus.SKIPPED],
+  [StepStatus.FAILED]: [StepStatus.PENDING, StepStatus.IN_PROGRESS, StepStatus.SKIPPED],
+  [StepStatus.SKIPPED]: [StepStatus.PENDING],
+  [StepStatus.DONE]: [StepStatus.PENDING]
+}
+
+// States that need a reason when a step enters them
+const STATUSES_REQUIRING_REASON = [StepStatus.BLOCKED, StepStatus.FAILED]
+
+// Strategies for picking the next step among the ready steps:
+// - priority: highest priority first
+// - critical_path: the step the most unfinished steps depend on first
+// - due_date: earliest due date first, steps without one last
+// - weighted: highest score, weighting priority, downstream work, due date
+//   and age with user-supplied weights. Factors without a weight don't count.
+// Ties go to the step that comes first in the plan, which is creation order
+// unless the steps were reordered.
+const NEXT_STEP_STRATEGIES = ['priority', 'critical_path', 'due_date', 'weighted']
+const DEFAULT_NEXT_STEP_STRATEGY = 'priority'
+const STRATEGY_FACTORS = ['priority', 'downstream', 'dueDate', 'age']
+const DEFAULT_STRATEGY_WEIGHTS = { priority: 1, downstream: 1, dueDate: 1 }
+
+// What the listing tools can sort plans by, and the value each sorts on
+const PLAN_SORT_KEYS = {
+  createdAt: plan => plan.createdAt || '',
+  updatedAt: plan => plan.updatedAt || plan.createdAt || '',
+  name: plan => plan.name.toLowerCase(),
+  percentComplete: plan => getPercentComplete(plan)
+}
+
+// Fields the listing tools can project plans to: the plan's own fields and
+// those of its summary
+const PLAN_FIELDS = [
+  'id', 'name', 'steps', 'revision', 'nextStepStrategy', 'strategyWeights', 'createdAt', 'updatedAt', 'importedAt',
+  'totalSteps', 'finishedSteps', 'percentComplete', 'stepsByStatus', 'stepsByPriority', 'readySteps', 'blockedSteps',
+  'lastActivityAt', 'secondsSinceLastActivity', 'averageCycleTimeSeconds'
+]
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 500
+
+// Schemas of the steps and plans tools return, shared by their output schemas.
+// Unknown fields are allowed, so plans stored by older versions still match.
+const PrioritySchema = z.enum(['high', 'medium', 'low'])
+
+// Estimated effort of a step, in any unit used consistently within a plan
+const EstimateSchema = z.number().min(0)
+
+// Date a step is due, as an ISO 8601 date or date and time
+const DueDateSchema = z.string().refine(value => !Number.isNaN(Date.parse(value)), {
+  message: "Must be an ISO 8601 date, e.g. 2026-03-31 or 2026-03-31T17:00:00Z"
+})
+
+// How to pick the next step, and the weights of the 'weighted' strategy
+const NextStepStrategySchema = z.enum(NEXT_STEP_STRATEGIES)
+
+const StrategyWeightsSchema = z.object({
+  priority: z.number().min(0).optional().describe("Weight of the step's priority"),
+  downstream: z.number().min(0).optional().describe("Weight of the number of unfinished steps depending on the step"),
+  dueDate: z.number().min(0).optional().describe("Weight of how soon the step is due"),
+  age: z.number().min(0).optional().describe("Weight of how long ago the step was created")
+})
+
+const StepSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  description: z.string(),
+  context: z.string().nullish(),
+  dependsOn: z.array(z.string()).nullish(),
+  parentId: z.string().nullish().describe("The step this step is a sub-step of"),
+  subPlanId: z.string().nullish().describe("The plan whose steps make up this step"),
+  priority: PrioritySchema.nullish(),
+  estimate: EstimateSchema.nullish(),
+  dueDate: z.string().nullish(),
+  status: z.enum(STEP_STATUSES),
+  statusReason: z.string().nullish(),
+  statusHistory: z.array(z.object({
+    status: z.enum(STEP_STATUSES),
+    at: z.string(),
+    reason: z.string().optional()
+  })),
+  claim: z.object({
+    agentId: z.string(),
+    claimedAt: z.string(),
+    expiresAt: z.string()
+  }).nullish().describe("The agent working on the step. Only holds until expiresAt."),
+  createdAt: z.string().nullish(),
+  completedAt: z.string().nullish()
+}).passthrough()
+
+const PlanSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  steps: z.array(StepSchema),
+  nextStepId: z.number().int().optional(),
+  revision: z.number().int(),
+  nextStepStrategy: NextStepStrategySchema.optional(),
+  strategyWeights: StrategyWeightsSchema.optional(),
+  createdAt: z.string().optional(),
+  updatedAt: z.string().optional(),
+  importedAt: z.string().optional()
+}).passthrough()
+
+// Plans accepted by import_change_plan. Only the plan's ID and name and each
+// step's title and description are required, so exports from older versions
+// can be imported. Numeric IDs are converted to strings.
+const IdSchema = z.union([z.string().min(1), z.number()]).transform(String)
+
+const ImportedPlanSchema = PlanSchema.extend({
+  id: IdSchema,
+  revision: z.number().int().optional(),
+  steps: z.array(StepSchema.partial().extend({
+    id: IdSchema.optional(),
+    title: z.string(),
+    description: z.string(),
+    dependsOn: z.array(IdSchema).nullish(),
+    parentId: IdSchema.nullish(),
+    subPlanId: IdSchema.nullish(),
+    status: z.string().optional()
+  }))
+})
+
+// Output of tools that change or report on a single step
+const StepResultSchema = z.object({
+  message: z.string().optional(),
+  step: StepSchema
+})
+
+// A plan's progress without its steps, as returned by get_plan_summary and
+// the listing tools' summary mode
+const PlanSummarySchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  revision: z.number().int(),
+  totalSteps: z.number().int(),
+  finishedSteps: z.number().int().describe("Steps that are done or skipped"),
+  percentComplete: z.number().describe("Share of the steps that are finished, from 0 to 100"),
+  stepsByStatus: z.record(z.number().int()),
+  stepsByPriority: z.record(z.number().int()),
+  readySteps: z.number().int().describe("Steps that can be worked on now"),
+  blockedSteps: z.array(z.object({
+    stepId: z.string(),
+    title: z.string(),
+    reason: z.string().nullable()
+  })),
+  createdAt: z.string().nullable(),
+  lastActivityAt: z.string().nullable().describe("When the plan last changed"),
+  secondsSinceLastActivity: z.number().int().nullable(),
+  averageCycleTimeSeconds: z.number().int().nullable().describe("Average time from creation to completion of the done steps, null if none is done")
+})
+
+// Options of the listing tools for paging, sorting and trimming the plans
+// they return
+const PlanListingOptionsSchema = z.object({
+  summary: z.boolean().optional().default(false).describe("Return a summary of each plan's progress, including its percent complete, instead of the whole plan"),
+  fields: z.array(z.enum(PLAN_FIELDS)).optional().describe("Only return these fields of each plan, out of the plan's own fields and those of its summary, e.g. ['name', 'updatedAt', 'percentComplete']. The ID is always returned."),
+  sortBy: z.enum(Object.keys(PLAN_SORT_KEYS)).optional().default('createdAt').describe("What to sort plans by: 'createdAt' (default), 'updatedAt', 'name' or 'percentComplete'"),
+  order: z.enum(['asc', 'desc']).optional().default('asc').describe("Sort order: 'asc' (default) or 'desc'"),
+  limit: z.number().int().positive().max(MAX_PAGE_SIZE).optional().default(DEFAULT_PAGE_SIZE).describe(`Maximum number of plans to return (default ${DEFAULT_PAGE_SIZE})`),
+  cursor: z.string().min(1).optional().describe("The nextCursor of the previous page, to get the next one. Pass the same sortBy and order.")
+})
+
+// A plan as returned by the listing tools: whole, as its summary, or
+// projected to some fields
+const ListedPlanSchema = z.union([PlanSchema, PlanSummarySchema, z.object({ id: z.string() }).passthrough()])
+
+// An event in a plan's audit history, as returned by get_plan_history
+const HistoryEventSchema = z.object({
+  id: z.string(),
+  planId: z.string(),
+  at: z.string(),
+  actor: z.string(),
+  tool: z.string(),
+  revision: z.number().int().nullable().describe("The plan's revision after the change, null if it was deleted"),
+  undoes: z.string().optional().describe("The ID of the event this change undid"),
+  redoes: z.string().optional().describe("The ID of the event this change redid"),
+  revertedTo: z.number().int().optional().describe("The revision this change reverted the plan to"),
+  changes: z.array(z.object({}).passthrough()),
+  before: PlanSchema.nullable().optional(),
+  after: PlanSchema.nullable().optional()
+})
+
+// Output of undo_last_change and redo_last_change
+const HistoryReplaySchema = z.object({
+  message: z.string(),
+  event: HistoryEventSchema.pick({ id: true, at: true, actor: true, tool: true, changes: true }),
+  changePlan: PlanSchema.nullable()
+})
+
+// A reusable plan, as stored by save_plan_as_template
+const TemplateVariableSchema = z.object({
+  name: z.string().min(1).describe("Name of the variable, as used in {{name}} placeholders"),
+  description: z.string().optional().describe("What the variable is for"),
+  default: z.string().optional().describe("Value used when none is given")
+})
+
+const TemplateOptionSchema = z.object({
+  name: z.string().min(1).describe("Name of the option"),
+  description: z.string().optional().describe("What the option's steps are for"),
+  default: z.boolean().optional().describe("Whether the steps are included when the option isn't given (default: true)"),
+  stepIds: z.array(z.string()).min(1).describe("The steps included only when the option is on")
+})
+
+const TemplateSchema = z.object({
+  name: z.string(),
+  description: z.string().optional(),
+  planName: z.string(),
+  variables: z.array(TemplateVariableSchema),
+  options: z.array(TemplateOptionSchema),
+  steps: z.array(z.object({
+    id: z.string(),
+    title: z.string(),
+    description: z.string(),
+    context: z.string(),
+    dependsOn: z.array(z.string()),
+    parentId: z.string().optional(),
+    priority: PrioritySchema,
+    estimate: EstimateSchema.optional()
+  })),
+  nextStepStrategy: NextStepStrategySchema.optional(),
+  strategyWeights: StrategyWeightsSchema.optional(),
+  sourcePlanId: z.string().optional(),
+  createdAt: z.string(),
+  updatedAt: z.string()
+}).passthrough()
+
+// A link of a plan's step that a template can't keep, as reported by
+// save_plan_as_template
+const DroppedTemplateLinkSchema = z.object({
+  stepId: z.string().describe("ID of the step in the plan"),
+  type: z.enum(['dependency', 'subPlan']),
+  target: z.string().describe("The dependency (planId:stepId for steps of other plans) or sub-plan ID that was left out")
+})
+
+// A step is finished once it is done or skipped. Finished steps satisfy the
+// dependencies of the steps that depend on them.
+function isStepFinished(step) {
+  return step.status === StepStatus.DONE || step.status === StepStatus.SKIPPED
+}
+
+// Get the step a step is a sub-step of, or null for a top-level step
+function getParentStep(changePlan, step) {
+  return step.parentId ? changePlan.steps.find(s => s.id === step.parentId) || null : null
+}
+
+// Get a step's parent, the parent's parent and so on, nearest first
+function getAncestorSteps(changePlan, step) {
+  const ancestors = []
+  let parent = getParentStep(changePlan, step)
+
+  while (parent && !ancestors.includes(parent)) {
+    ancestors.push(parent)
+    parent = getParentStep(changePlan, parent)
+  }
+
+  return ancestors
+}
+
+// Get the direct sub-steps of a step
+function getChildSteps(changePlan, stepId) {
+  return changePlan.steps.filter(step => step.parentId === stepId)
+}
+
+// Get the IDs of all sub-steps of a step, their sub-steps and so on
+function getDescendantStepIds(changePlan, stepId) {
+  return getChildSteps(changePlan, stepId)
+    .flatMap(child => [child.id, ...getDescendantStepIds(changePlan, child.id)])
+}
+
+// Get what is keeping a step from being complete: its unfinished sub-steps,
+// and the unfinished steps of its sub-plan as "planId:stepId". A sub-plan
+// that no longer exists doesn't hold the step up.
+function getUnfinishedChildren(changePlan, step) {
+  const subPlan = step.subPlanId ? changePlans.get(step.subPlanId) : null
+
+  return [
+    ...getChildSteps(changePlan, step.id).filter(child => !isStepFinished(child)).map(child => child.id),
+    ...(subPlan ? subPlan.steps.filter(s => !isStepFinished(s)).map(s => `${subPlan.id}:${s.id}`) : [])
+  ]
+}
+
+// Get the IDs of the steps a step has to wait for: its own dependencies and
+// those of its parents, which apply to all of their sub-steps
+function getInheritedDependencies(changePlan, step) {
+  const depIds = [step, ...getAncestorSteps(changePlan, step)].flatMap(s => s.dependsOn || [])
+  return [...new Set(depIds)]
+}
+
+// Split a dependency on a step of another plan, written "planId:stepId",
+// into its parts. Returns null for a plain step ID.
+function parseQualifiedStepId(depId) {
+  const separator = depId.lastIndexOf(':')
+
+  if (separator <= 0 || separator === depId.length - 1) {
+    return null
+  }
+  return { planId: depId.slice(0, separator), stepId: depId.slice(separator + 1) }
+}
+
+// Find the step a dependency of a plan's step refers to: a step of the same
+// plan by its ID, or a step of another plan by "planId:stepId". Returns null
+// if there is no such step, e.g. because its plan was deleted.
+function resolveDependency(changePlan, depId) {
+  const localStep = changePlan.steps.find(s => s.id === depId)
+
+  if (localStep) {
+    return localStep
+  }
+
+  const reference = parseQualifiedStepId(depId)
+  const plan = reference ? changePlans.get(reference.planId) : null
+  return plan ? plan.steps.find(s => s.id === reference.stepId) || null : null
+}
+
+// Get the IDs of a step's dependencies that are not yet finished, including
+// the ones it inherits from its parents. A dependency on a step that no
+// longer exists stays unmet until it is removed from the step.
+function getUnmetDependencies(changePlan, step) {
+  return getInheritedDependencies(changePlan, step).filter(depId => {
+    const depStep = resolveDependency(changePlan, depId)
+    return !depStep || !isStepFinished(depStep)
+  })
+}
+
+// Get the steps of other plans that depend on steps of a plan, or only on
+// the given steps of it, as "planId:stepId"
+function getCrossPlanDependents(planId, stepIds) {
+  const dependents = []
+
+  for (const plan of changePlans.values()) {
+    if (plan.id === planId) {
+      continue
+    }
+
+    for (const step of plan.steps) {
+      const dependsOnPlan = (step.dependsOn || []).some(depId => {
+        const reference = plan.steps.some(s => s.id === depId) ? null : parseQualifiedStepId(depId)
+        return reference && reference.planId === planId && (!stepIds || stepIds.includes(reference.stepId))
+      })
+
+      if (dependsOnPlan) {
+        dependents.push(`${plan.id}:${step.id}`)
+      }
+    }
+  }
+
+  return dependents
+}
+
+// Get the steps of other plans that would be left with unmet dependencies or
+// without their sub-plan if a plan were deleted, as "planId:stepId", along
+// with the reason to give for refusing the deletion (null if there are none)
+function getPlanDependents(planId) {
+  const dependents = getCrossPlanDependents(planId)
+  const subPlanSteps = Array.from(changePlans.values()).flatMap(plan => plan.steps
+    .filter(step => step.subPlanId === planId)
+    .map(step => `${plan.id}:${step.id}`))
+
+  const reasons = [
+    ...(dependents.length > 0 ? [`steps of other plans depend on it: ${dependents.join(', ')}`] : []),
+    ...(subPlanSteps.length > 0 ? [`it is the sub-plan of ${subPlanSteps.join(', ')}`] : [])
+  ]
+
+  return { dependents, subPlanSteps, reason: reasons.length > 0 ? reasons.join(', and ') : null }
+}
+
+// Check that a step can move to a new lifecycle state: the transition has
+// to be allowed, a step can only be started or completed once its
+// dependencies are finished, and only completed once its sub-steps and
+// sub-plan are. Throws an InvalidInputError if not.
+function checkTransition(changePlan, step, status, reason) {
+  const allowed = STEP_TRANSITIONS[step.status] || []
+
+  if (!allowed.includes(status)) {
+    throw new InvalidInputError(
+      `Cannot change step ${step.id} from '${step.status}' to '${status}'. Allowed: ${allowed.join(', ') || 'none'}`
+    )
+  }
+
+  if (status === StepStatus.DONE || status === StepStatus.IN_PROGRESS) {
+    const unmetDeps = getUnmetDependencies(changePlan, step)
+
+    if (unmetDeps.length > 0) {
+      throw new InvalidInputError(
+        `Cannot mark step as ${status} because it has unfinished dependencies: ${unmetDeps.join(', ')}`
+      )
+    }
+  }
+
+  if (status === StepStatus.DONE) {
+    const unfinishedChildren = getUnfinishedChildren(changePlan, step)
+
+    if (unfinishedChildren.length > 0) {
+      throw new InvalidInputError(
+        `Cannot mark step as done because it has unfinished sub-steps: ${unfinishedChildren.join(', ')}`
+      )
+    }
+  }
+
+  if (STATUSES_REQUIRING_REASON.includes(status) && !reason) {
+    throw new InvalidInputError(
+      `A reason is required to mark a step as ${status}`
+    )
+  }
+}
+
+// Move a step to a new lifecycle state, recording a timestamp for the
+// transition. Skipping a step skips its unfinished sub-steps too, and the
+// parents of the step are brought up to date. Throws an InvalidInputError,
+// before changing anything, if checkTransition rejects the transition.
+function transitionStep(changePlan, step, status, reason) {
+  checkTransition(changePlan, step, status, reason)
+
+  const now = new Date().toISOString()
+  const transition = { status, at: now }
+
+  if (reason) {
+    transition.reason = reason
+    step.statusReason = reason
+  } else {
+    delete step.statusReason
+  }
+
+  if (status === StepStatus.DONE) {
+    step.completedAt = now
+  } else {
+    delete step.completedAt
+  }
+
+  step.status = status
+  step.statusHistory = [...(step.statusHistory || []), transition]
+
+  // A claim only covers working on the step
+  if (status !== StepStatus.IN_PROGRESS) {
+    delete step.claim
+  }
+
+  if (status === StepStatus.SKIPPED) {
+    for (const child of getChildSteps(changePlan, step.id).filter(child => !isStepFinished(child))) {
+      transitionStep(changePlan, child, StepStatus.SKIPPED, reason || `Parent step ${step.id} was skipped`)
+    }
+  }
+
+  rollUpStepStatus(changePlan, step)
+}
+
+// Bring a parent step's status in line with its sub-steps and sub-plan: it
+// is done once all of them are finished, and reopened when one of them is
+// reopened. A step left without sub-steps or sub-plan is left alone.
+// Returns whether the status changed.
+function syncParentStatus(changePlan, parent) {
+  const hasChildren = getChildSteps(changePlan, parent.id).length > 0 ||
+    Boolean(parent.subPlanId && changePlans.has(parent.subPlanId))
+
+  if (!hasChildren) {
+    return false
+  }
+
+  const finished = getUnfinishedChildren(changePlan, parent).length === 0
+
+  let status = null
+  if (finished && !isStepFinished(parent)) {
+    status = StepStatus.DONE
+  } else if (!finished && parent.status === StepStatus.DONE) {
+    status = StepStatus.PENDING
+  }
+
+  if (!status) {
+    return false
+  }
+
+  // A parent that can't follow, e.g. because it is blocked, is left as it is
+  try {
+    transitionStep(changePlan, parent, status)
+    return true
+  } catch (error) {
+    if (error instanceof InvalidInputError) {
+      return false
+    }
+    throw error
+  }
+}
+
+// After a step changed status, update the steps it rolls up into: its parent
+// step, and the steps of other plans that have its plan as their sub-plan
+function rollUpStepStatus(changePlan, step) {
+  const parent = getParentStep(changePlan, step)
+
+  if (parent) {
+    syncParentStatus(changePlan, parent)
+  }
+
+  for (const plan of changePlans.values()) {
+    for (const linkingStep of plan.steps.filter(s => s.subPlanId === changePlan.id)) {
+      if (syncParentStatus(plan, linkingStep)) {
+        touchPlan(plan)
+      }
+    }
+  }
+}
+
+// Get the steps of a plan that are ready to be worked on: pending or in
+// progress, with every dependency done or skipped, including those inherited
+// from parent steps and those in other plans. Blocked and failed steps need attention before they can
+// be picked up again, and so do their sub-steps. A step with unfinished
+// sub-steps is worked on through them, so only the sub-steps are ready.
+function getReadySteps(changePlan) {
+  const isOpen = step => step.status === StepStatus.PENDING || step.status === StepStatus.IN_PROGRESS
+
+  return changePlan.steps.filter(step => {
+    if (!isOpen(step) || !getAncestorSteps(changePlan, step).every(isOpen)) {
+      return false
+    }
+
+    if (getChildSteps(changePlan, step.id).some(child => !isStepFinished(child))) {
+      return false
+    }
+
+    // Check if all dependencies are finished, including those in other plans
+    return getUnmetDependencies(changePlan, step).length === 0
+  })
+}
+
+// Lease of a step claim, in seconds, unless the agent asks for another one
+const DEFAULT_LEASE_SECONDS = 300
+const MAX_LEASE_SECONDS = 24 * 60 * 60
+
+// Whether a step is claimed by an agent whose lease hasn't expired yet
+function isClaimActive(step, now = Date.now()) {
+  return Boolean(step.claim) && Date.parse(step.claim.expiresAt) > now
+}
+
+// Whether a step is claimed by an agent other than the given one. Without an
+// agent ID, any active claim counts.
+function isClaimedByOther(step, agentId) {
+  return isClaimActive(step) && step.claim.agentId !== agentId
+}
+
+// Get the ready steps of a plan that an agent can work on: those no other
+// agent holds a claim on
+function getAvailableSteps(changePlan, agentId) {
+  return getReadySteps(changePlan).filter(step => !isClaimedByOther(step, agentId))
+}
+
+// Claim a step for an agent, or renew the agent's claim, for a lease of the
+// given number of seconds
+function setStepClaim(step, agentId, leaseSeconds) {
+  const now = new Date()
+  const claimedAt = step.claim && step.claim.agentId === agentId ? step.claim.claimedAt : now.toISOString()
+
+  step.claim = {
+    agentId,
+    claimedAt,
+    expiresAt: new Date(now.getTime() + leaseSeconds * 1000).toISOString()
+  }
+}
+
+// Check that an agent may change a step's claim, throwing a ConflictError
+// naming the agent holding it if not
+function checkClaim(step, agentId) {
+  if (!isClaimedByOther(step, agentId)) {
+    return
+  }
+
+  throw new ConflictError(
+    `Step ${step.id} is claimed by agent ${step.claim.agentId} until ${step.claim.expiresAt}`,
+    { claim: step.claim }
+  )
+}
+
+// Sort order of step priorities: high > medium > low
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 }
+
+function comparePriority(a, b) {
+  return PRIORITY_ORDER[a.priority || 'medium'] - PRIORITY_ORDER[b.priority || 'medium']
+}
+
+// Factors the weighted strategy scores a ready step on, each from 0 to 1
+function getStepFactors(changePlan, readySteps) {
+  const downstream = new Map(readySteps.map(step => [
+    step.id,
+    getDependentStepIds(changePlan, step.id)
+      .filter(id => !isStepFinished(changePlan.steps.find(s => s.id === id)))
+      .length
+  ]))
+  const dueTimes = readySteps.filter(step => step.dueDate).map(step => Date.parse(step.dueDate))
+  const createdTimes = readySteps.map(step => Date.parse(step.createdAt) || 0)
+
+  // Scale a value to 0..1 within a range, where the low end of the range
+  // scores 1 if lowIsBetter
+  const scale = (value, min, max, lowIsBetter) => {
+    if (max === min) {
+      return 1
+    }
+    return lowIsBetter ? (max - value) / (max - min) : (value - min) / (max - min)
+  }
+
+  const maxDownstream = Math.max(0, ...downstream.values())
+
+  return new Map(readySteps.map(step => [step.id, {
+    priority: 1 - PRIORITY_ORDER[step.priority || 'medium'] / 2,
+    downstream: maxDownstream > 0 ? downstream.get(step.id) / maxDownstream : 0,
+    downstreamSteps: downstream.get(step.id),
+    dueDate: step.dueDate ? scale(Date.parse(step.dueDate), Math.min(...dueTimes), Math.max(...dueTimes), true) : 0,
+    age: scale(Date.parse(step.createdAt) || 0, Math.min(...createdTimes), Math.max(...createdTimes), true)
+  }]))
+}
+
+// Pick the step to work on next from a list of ready steps with a strategy.
+// Returns the step (null if there is none), the strategy and a sentence
+// explaining why the step was picked.
+function selectNextStep(changePlan, readySteps, strategy = DEFAULT_NEXT_STEP_STRATEGY, weights = DEFAULT_STRATEGY_WEIGHTS) {
+  if (readySteps.length === 0) {
+    return { step: null, strategy, reason: 'No step is ready' }
+  }
+
+  const factors = getStepFactors(changePlan, readySteps)
+  const planOrder = step => changePlan.steps.indexOf(step)
+  const dueTime = step => step.dueDate ? Date.parse(step.dueDate) : Infinity
+  const score = step => STRATEGY_FACTORS
+    .reduce((sum, factor) => sum + (weights[factor] || 0) * factors.get(step.id)[factor], 0)
+  const round = value => Math.round(value * 100) / 100
+
+  // Sort keys of each strategy, compared in order, lowest first
+  const sortKeys = {
+    priority: step => [PRIORITY_ORDER[step.priority || 'medium']],
+    critical_path: step => [-factors.get(step.id).downstreamSteps, PRIORITY_ORDER[step.priority || 'medium']],
+    due_date: step => [dueTime(step), PRIORITY_ORDER[step.priority || 'medium']],
+    weighted: step => [-score(step)]
+  }[strategy]
+
+  const compare = (a, b) => {
+    const keysA = sortKeys(a)
+    const keysB = sortKeys(b)
+    const index = keysA.findIndex((key, i) => key !== keysB[i])
+    return index === -1 ? planOrder(a) - planOrder(b) : keysA[index] - keysB[index]
+  }
+
+  const sortedSteps = [...readySteps].sort(compare)
+  const step = sortedSteps[0]
+  const stepFactors = factors.get(step.id)
+  const ties = sortedSteps.filter(other => sortKeys(other).join() === sortKeys(step).join()).length
+  const priority = step.priority || 'medium'
+
+  let reason
+  if (strategy === 'critical_path') {
+    reason = stepFactors.downstreamSteps > 0
+      ? `Step ${step.id} unblocks the most downstream work: ${stepFactors.downstreamSteps} unfinished steps depend on it`
+      : `No ready step has unfinished steps depending on it, so step ${step.id} was picked by priority (${priority})`
+  } else if (strategy === 'due_date') {
+    reason = step.dueDate
+      ? `Step ${step.id} has the earliest due date (${step.dueDate})`
+      : `No ready step has a due date, so step ${step.id} was picked by priority (${priority})`
+  } else if (strategy === 'weighted') {
+    const terms = STRATEGY_FACTORS
+      .filter(factor => weights[factor] > 0)
+      .map(factor => `${factor} ${round(stepFactors[factor])} × ${weights[factor]}`)
+    reason = `Step ${step.id} has the highest weighted score (${round(score(step))}: ${terms.join(' + ') || 'no weights'})`
+  } else {
+    reason = `Step ${step.id} has the highest priority (${priority})`
+  }
+
+  if (ties > 1) {
+    reason += `, tied with ${ties - 1} other ready step${ties > 2 ? 's' : ''} and first in plan order`
+  }
+
+  return { step, strategy, reason: `${reason}. ${readySteps.length} step${readySteps.length === 1 ? ' was' : 's were'} ready.` }
+}
+
+// The strategy to pick a plan's next step with: the one given for the call,
+// else the plan's own, else the default
+function resolveNextStepStrategy(changePlan, strategy, weights) {
+  const name = strategy || changePlan.nextStepStrategy || DEFAULT_NEXT_STEP_STRATEGY
+  const planWeights = name === changePlan.nextStepStrategy ? changePlan.strategyWeights : undefined
+
+  return { strategy: name, weights: weights || planWeights || DEFAULT_STRATEGY_WEIGHTS }
+}
+
+// Pick the step an agent should work on next in a plan. A picked step whose
+// sub-plan still has unfinished steps stands for the work in that plan, so
+// the pick descends into the sub-plan, and tries the next best ready step if
+// nothing there is available. Returns the picked step (null if there is
+// none) with the plan it is in, the strategy and the reason it was picked.
+function findNextStep(changePlan, agentId, strategy, weights, visited = new Set()) {
+  const selection = resolveNextStepStrategy(changePlan, strategy, weights)
+  let candidates = getAvailableSteps(changePlan, agentId)
+  visited.add(changePlan.id)
+
+  while (candidates.length > 0) {
+    const next = selectNextStep(changePlan, candidates, selection.strategy, selection.weights)
+    const subPlan = next.step.subPlanId ? changePlans.get(next.step.subPlanId) : null
+
+    if (!subPlan || visited.has(subPlan.id) || subPlan.steps.every(isStepFinished)) {
+      return { ...next, plan: changePlan }
+    }
+
+    const subNext = findNextStep(subPlan, agentId, strategy, weights, visited)
+
+    if (subNext.step) {
+      return {
+        ...subNext,
+        reason: `${subNext.reason} Plan ${subPlan.id} is the sub-plan of step ${next.step.id} of plan ${changePlan.id}, picked there because: ${next.reason}`
+      }
+    }
+
+    candidates = candidates.filter(step => step !== next.step)
+  }
+
+  return { step: null, plan: changePlan, strategy: selection.strategy, reason: 'No step is ready' }
+}
+
+// Collect the IDs of all steps that depend on a step, directly or through
+// other dependent steps
+function getDependentStepIds(changePlan, stepId) {
+  const dependents = new Set()
+  const queue = [stepId]
+
+  while (queue.length > 0) {
+    const currentId = queue.shift()
+
+    for (const step of changePlan.steps) {
+      if ((step.dependsOn || []).includes(currentId) && !dependents.has(step.id)) {
+        dependents.add(step.id)
+        queue.push(step.id)
+      }
+    }
+  }
+
+  return Array.from(dependents)
+}
+
+// Round an amount of effort for reporting
+function roundEffort(effort) {
+  return Math.round(effort * 100) / 100
+}
+
+// Analyze a plan's dependency graph for scheduling: a topological order of
+// all steps, and for the unfinished steps the levels of steps that can run in
+// parallel, the critical path, the steps blocking the most other steps and
+// the remaining effort. Steps without an estimate count as the average
+// estimate of the other steps, or 1 if no step has one. A step with sub-steps
+// is their sum: it comes after them, and its own estimate doesn't count.
+// With a number of agents, also projects how long they would take to finish
+// the plan.
+function analyzeChangePlan(changePlan, agents) {
+  const stepsById = new Map(changePlan.steps.map(step => [step.id, step]))
+  const parentIds = new Set(changePlan.steps.map(step => step.parentId).filter(parentId => stepsById.has(parentId)))
+  const getDeps = step => [
+    ...getInheritedDependencies(changePlan, step),
+    ...getChildSteps(changePlan, step.id).map(child => child.id)
+  ].filter(depId => stepsById.has(depId))
+
+  const leafSteps = changePlan.steps.filter(step => !parentIds.has(step.id))
+  const estimates = leafSteps.map(step => step.estimate).filter(estimate => typeof estimate === 'number')
+  const defaultEstimate = estimates.length > 0
+    ? estimates.reduce((sum, estimate) => sum + estimate, 0) / estimates.length
+    : 1
+  const getEstimate = step => {
+    if (parentIds.has(step.id)) {
+      return 0
+    }
+    return typeof step.estimate === 'number' ? step.estimate : defaultEstimate
+  }
+
+  // Topological order, taking the steps that are ready by priority, then in plan order
+  const order = []
+  const placed = new Set()
+  while (order.length < changePlan.steps.length) {
+    const ready = changePlan.steps
+      .filter(step => !placed.has(step.id) && getDeps(step).every(depId => placed.has(depId)))
+      .sort(comparePriority)
+
+    // Only possible with a dependency cycle, which validation prevents
+    if (ready.length === 0) {
+      break
+    }
+
+    order.push(ready[0].id)
+    placed.add(ready[0].id)
+  }
+
+  const remaining = order.map(id => stepsById.get(id)).filter(step => !isStepFinished(step))
+  const getRemainingDeps = step => getDeps(step).filter(depId => !isStepFinished(stepsById.get(depId)))
+
+  // Parallel levels: a step can start once the steps in earlier levels it
+  // depends on are finished. Also find the longest chain of effort ending at
+  // each step, for the critical path.
+  const levelOf = new Map()
+  const chainEffort = new Map()
+  const chainPrevious = new Map()
+  for (const step of remaining) {
+    const deps = getRemainingDeps(step)
+    levelOf.set(step.id, Math.max(0, ...deps.map(depId => levelOf.get(depId) + 1)))
+
+    const longestDep = deps.reduce((longest, depId) => (
+      longest === null || chainEffort.get(depId) > chainEffort.get(longest) ? depId : longest
+    ), null)
+    chainEffort.set(step.id, getEstimate(step) + (longestDep ? chainEffort.get(longestDep) : 0))
+    chainPrevious.set(step.id, longestDep)
+  }
+
+  const parallelLevels = []
+  for (const step of remaining) {
+    const level = levelOf.get(step.id)
+    parallelLevels[level] = parallelLevels[level] || { level, stepIds: [], effort: 0 }
+    parallelLevels[level].stepIds.push(step.id)
+    parallelLevels[level].effort += getEstimate(step)
+  }
+  parallelLevels.forEach(level => { level.effort = roundEffort(level.effort) })
+
+  const criticalPath = []
+  let pathEnd = remaining.reduce((longest, step) => (
+    longest === null || chainEffort.get(step.id) > chainEffort.get(longest) ? step.id : longest
+  ), null)
+  const criticalPathEffort = pathEnd ? chainEffort.get(pathEnd) : 0
+  while (pathEnd) {
+    criticalPath.unshift(pathEnd)
+    pathEnd = chainPrevious.get(pathEnd)
+  }
+
+  // The unfinished steps that the most other unfinished steps wait on
+  const blockers = remaining
+    .map(step => {
+      const downstream = getDependentStepIds(changePlan, step.id)
+        .map(id => stepsById.get(id))
+        .filter(dependent => !isStepFinished(dependent))
+      return {
+        stepId: step.id,
+        title: step.title,
+        status: step.status,
+        downstreamSteps: downstream.length,
+        downstreamEffort: roundEffort(downstream.reduce((sum, dependent) => sum + getEstimate(dependent), 0))
+      }
+    })
+    .filter(blocker => blocker.downstreamSteps > 0)
+    .sort((a, b) => b.downstreamSteps - a.downstreamSteps || b.downstreamEffort - a.downstreamEffort)
+    .slice(0, 5)
+
+  const remainingEffort = remaining.reduce((sum, step) => sum + getEstimate(step), 0)
+  const totalEffort = changePlan.steps.reduce((sum, step) => sum + getEstimate(step), 0)
+
+  const analysis = {
+    planId: changePlan.id,
+    topologicalOrder: order,
+    parallelLevels,
+    maxParallelism: Math.max(0, ...parallelLevels.map(level => level.stepIds.length)),
+    criticalPath: { stepIds: criticalPath, effort: roundEffort(criticalPathEffort) },
+    blockers,
+    effort: {
+      total: roundEffort(totalEffort),
+      completed: roundEffort(totalEffort - remainingEffort),
+      remaining: roundEffort(remainingEffort),
+      defaultEstimate: roundEffort(defaultEstimate),
+      unestimatedStepIds: leafSteps.filter(step => typeof step.estimate !== 'number').map(step => step.id)
+    },
+    projectedDuration: {
+      singleAgent: roundEffort(remainingEffort),
+      unlimitedAgents: roundEffort(criticalPathEffort)
+    }
+  }
+
+  if (agents) {
+    analysis.projectedDuration.agents = agents
+    analysis.projectedDuration.withAgents = roundEffort(simulateSchedule(remaining, getRemainingDeps, getEstimate, agents))
+  }
+
+  return analysis
+}
+
+// Simulate a number of agents working through steps (in topological order),
+// each agent taking the ready step with the most work depending on it.
+// Returns the time until all steps are finished.
+function simulateSchedule(steps, getDeps, getEstimate, agents) {
+  // Longest chain of effort from each step to the end of the plan
+  const tailEffort = new Map()
+  for (const step of [...steps].reverse()) {
+    const dependents = steps.filter(other => getDeps(other).includes(step.id))
+    tailEffort.set(step.id, getEstimate(step) + Math.max(0, ...dependents.map(other => tailEffort.get(other.id))))
+  }
+
+  const pending = new Set(steps)
+  const finished = new Set()
+  let running = []
+  let time = 0
+
+  while (pending.size > 0 || running.length > 0) {
+    const ready = [...pending]
+      .filter(step => getDeps(step).every(depId => finished.has(depId)))
+      .sort((a, b) => tailEffort.get(b.id) - tailEffort.get(a.id))
+
+    while (running.length < agents && ready.length > 0) {
+      const step = ready.shift()
+      pending.delete(step)
+      running.push({ step, endsAt: time + getEstimate(step) })
+    }
+
+    if (running.length === 0) {
+      break
+    }
+
+    time = Math.min(...running.map(task => task.endsAt))
+    running.filter(task => task.endsAt === time).forEach(task => finished.add(task.step.id))
+    running = running.filter(task => task.endsAt !== time)
+  }
+
+  return time
+}
+
+// Share of a plan's steps that are finished, as a whole percentage. A plan
+// without steps counts as complete.
+function getPercentComplete(changePlan) {
+  const finished = changePlan.steps.filter(isStepFinished).length
+
+  return changePlan.steps.length > 0 ? Math.round(finished / changePlan.steps.length * 100) : 100
+}
+
+// Summarize a plan's progress without listing its steps: how far along it is,
+// how its steps split by status and priority, which steps are blocked, how
+// long ago it last changed and how long its done steps took on average from
+// creation to completion. Durations are in seconds.
+function summarizePlan(changePlan, now = Date.now()) {
+  const countBy = (keys, getKey) => Object.fromEntries(keys.map(key => [
+    key,
+    changePlan.steps.filter(step => getKey(step) === key).length
+  ]))
+
+  const cycleTimes = changePlan.steps
+    .filter(step => step.status === StepStatus.DONE && step.createdAt && step.completedAt)
+    .map(step => Date.parse(step.completedAt) - Date.parse(step.createdAt))
+    .filter(time => time >= 0)
+
+  const lastActivityAt = changePlan.updatedAt || changePlan.createdAt || null
+
+  return {
+    id: changePlan.id,
+    name: changePlan.name,
+    revision: changePlan.revision,
+    totalSteps: changePlan.steps.length,
+    finishedSteps: changePlan.steps.filter(isStepFinished).length,
+    percentComplete: getPercentComplete(changePlan),
+    stepsByStatus: countBy(STEP_STATUSES, step => step.status),
+    stepsByPriority: countBy(Object.keys(PRIORITY_ORDER), step => step.priority || 'medium'),
+    readySteps: getReadySteps(changePlan).length,
+    blockedSteps: changePlan.steps
+      .filter(step => step.status === StepStatus.BLOCKED)
+      .map(step => ({ stepId: step.id, title: step.title, reason: step.statusReason || null })),
+    createdAt: changePlan.createdAt || null,
+    lastActivityAt,
+    secondsSinceLastActivity: lastActivityAt ? Math.max(0, Math.round((now - Date.parse(lastActivityAt)) / 1000)) : null,
+    averageCycleTimeSeconds: cycleTimes.length > 0
+      ? Math.round(cycleTimes.reduce((sum, time) => sum + time, 0) / cycleTimes.length / 1000)
+      : null
+  }
+}
+
+// A plan's position in a sorted listing: its sort value, then its ID so the
+// order is stable
+function getSortPosition(plan, sortBy) {
+  return { value: PLAN_SORT_KEYS[sortBy](plan), id: plan.id }
+}
+
+function compareSortPositions(a, b, order) {
+  const compare = (x, y) => x < y ? -1 : x > y ? 1 : 0
+
+  return (order === 'desc' ? -1 : 1) * (compare(a.value, b.value) || compare(a.id, b.id))
+}
+
+// Cursors point after the last plan of a page, by its sort value and ID, so
+// pages stay consistent when plans are added or deleted in between. They are
+// opaque to clients.
+function encodeCursor(sortBy, order, plan) {
+  const cursor = { sortBy, order, ...getSortPosition(plan, sortBy) }
+
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url')
+}
+
+function decodeCursor(cursor, sortBy, order) {
+  let decoded
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+  } catch (error) {
+    throw new InvalidInputError(`Invalid cursor: ${cursor}`)
+  }
+
+  if (!decoded || typeof decoded !== 'object' || typeof decoded.id !== 'string' || !('value' in decoded)) {
+    throw new InvalidInputError(`Invalid cursor: ${cursor}`)
+  }
+
+  if (decoded.sortBy !== sortBy || decoded.order !== order) {
+    throw new InvalidInputError(
+      `The cursor belongs to a listing sorted by ${decoded.sortBy} (${decoded.order}), not ${sortBy} (${order}). Pass the same sortBy and order as for the first page.`
+    )
+  }
+
+  return decoded
+}
+
+// Sort a list of plans and return one page of it, each plan as a whole, as
+// its summary or projected to some fields. Returns the number of plans in
+// the list, the page and the cursor of the next page (null on the last page).
+function listPlansPage(plans, { sortBy = 'createdAt', order = 'asc', cursor, limit = DEFAULT_PAGE_SIZE, fields, summary = false }) {
+  let sorted = [...plans].sort((a, b) => compareSortPositions(getSortPosition(a, sortBy), getSortPosition(b, sortBy), order))
+
+  if (cursor) {
+    const after = decodeCursor(cursor, sortBy, order)
+    sorted = sorted.filter(plan => compareSortPositions(getSortPosition(plan, sortBy), after, order) > 0)
+  }
+
+  const page = sorted.slice(0, limit)
+  const hasMore = sorted.length > limit
+  const now = Date.now()
+
+  const items = page.map(plan => {
+    if (fields && fields.length > 0) {
+      const source = { ...plan, ...summarizePlan(plan, now) }
+      return Object.fromEntries(
+        ['id', ...fields.filter(field => field !== 'id')]
+          .filter(field => source[field] !== undefined)
+          .map(field => [field, source[field]])
+      )
+    }
+    return summary ? summarizePlan(plan, now) : plan
+  })
+
+  return {
+    total: plans.length,
+    items,
+    nextCursor: hasMore ? encodeCursor(sortBy, order, page[page.length - 1]) : null
+  }
+}
+
+// Make sure a plan has a step ID counter. The counter is a high-water mark:
+// it only ever goes up, and never falls below the highest numeric step ID,
+// so plans created before the counter existed, and plans whose steps came
+// from elsewhere, continue after their highest numeric step ID.
+function ensureStepCounter(changePlan) {
+  const numericIds = changePlan.steps
+    .map(step => Number(step.id))
+    .filter(Number.isInteger)
+  const current = Number.isInteger(changePlan.nextStepId) ? changePlan.nextStepId : changePlan.steps.length
+
+  changePlan.nextStepId = Math.max(current, ...numericIds.map(id => id + 1))
+}
+
+// Record a change to a plan: bump its revision and update its timestamp
+function touchPlan(changePlan) {
+  changePlan.revision = (changePlan.revision || 0) + 1
+  changePlan.updatedAt = new Date().toISOString()
+}
+
+// Check the optional expectedRevision a client passed to a mutating tool.
+// Throws a ConflictError unless it matches the plan's revision or wasn't
+// given, so a client never overwrites a change it hasn't seen.
+function checkRevision(changePlan, expectedRevision) {
+  if (expectedRevision === undefined || expectedRevision === changePlan.revision) {
+    return
+  }
+
+  throw new ConflictError(
+    `Change plan ${changePlan.id} is at revision ${changePlan.revision}, not the expected revision ${expectedRevision}. Re-read the plan and try again.`,
+    { expectedRevision, currentRevision: changePlan.revision }
+  )
+}
+
+// The ID the next step of a plan will get, without using it up. Lets a
+// tool validate a new step before allocating its ID.
+function peekStepId(changePlan) {
+  ensureStepCounter(changePlan)
+
+  let next = changePlan.nextStepId
+  while (changePlan.steps.some(step => step.id === next.toString())) {
+    next++
+  }
+
+  return next.toString()
+}
+
+// Allocate a new step ID for a plan. IDs come from a per-plan counter that
+// only ever increases, so the ID of a deleted step is never reused.
+function allocateStepId(changePlan) {
+  const id = peekStepId(changePlan)
+  changePlan.nextStepId = Number(id) + 1
+
+  return id
+}
+
+// Lifecycle fields for a newly created step
+function createStepState(createdAt = new Date().toISOString()) {
+  return {
+    status: StepStatus.PENDING,
+    statusHistory: [{ status: StepStatus.PENDING, at: createdAt }],
+    createdAt
+  }
+}
+
+// Build a new change plan from step definitions. Step IDs are assigned by
+// position, which is how the steps' dependsOn and parentId refer to each
+// other.
+function buildChangePlan(name, steps, fields = {}) {
+  const now = new Date().toISOString()
+
+  return {
+    id: Date.now().toString(),
+    name,
+    steps: steps.map((step, index) => ({
+      id: index.toString(),
+      title: step.title,
+      description: step.description,
+      context: step.context || "",
+      dependsOn: step.dependsOn || [],
+      ...(step.parentId ? { parentId: step.parentId } : {}),
+      ...(step.subPlanId ? { subPlanId: step.subPlanId } : {}),
+      priority: step.priority || 'medium',
+      ...(step.estimate !== undefined ? { estimate: step.estimate } : {}),
+      ...(step.dueDate ? { dueDate: step.dueDate } : {}),
+      ...createStepState(now)
+    })),
+    nextStepId: steps.length,
+    ...fields,
+    revision: 1,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+// Migrate a step stored with the legacy boolean `completed` flag to the
+// lifecycle states. Steps that already have a valid status are left alone.
+function migrateStep(step) {
+  if (!STEP_STATUSES.includes(step.status)) {
+    const createdAt = step.createdAt || new Date().toISOString()
+    step.createdAt = createdAt
+    step.status = step.completed ? StepStatus.DONE : StepStatus.PENDING
+    step.statusHistory = [{ status: StepStatus.PENDING, at: createdAt }]
+
+    if (step.completed) {
+      step.completedAt = step.completedAt || createdAt
+      step.statusHistory.push({ status: StepStatus.DONE, at: step.completedAt })
+    } else {
+      delete step.completedAt
+    }
+  }
+
+  if (!Array.isArray(step.statusHistory)) {
+    step.statusHistory = [{ status: step.status, at: step.createdAt || new Date().toISOString() }]
+  }
+
+  delete step.completed
+  return step
+}
+
+// Validate the dependency graph formed by a list of steps. Rejects duplicate
+// step IDs, dependencies and parents that don't exist, and cycles. A cycle
+// may run across levels of the step tree: a step waits for its dependencies
+// and those of its parents, and a parent waits for its sub-steps.
+// Dependencies on steps of other plans ("planId:stepId") have to exist too.
+// With the ID of the plan the steps are for, cycles through other plans are
+// also rejected. Throws an InvalidInputError if the graph isn't valid.
+function validateStepGraph(steps, planId) {
+  const stepsById = new Map()
+  const currentPlan = planId ? changePlans.get(planId) : null
+
+  for (const step of steps) {
+    if (stepsById.has(step.id)) {
+      throw new InvalidInputError(
+        `Duplicate step ID: ${step.id}`
+      )
+    }
+    stepsById.set(step.id, step)
+  }
+
+  for (const step of steps) {
+    for (const depId of step.dependsOn || []) {
+      if (depId === step.id) {
+        throw new InvalidInputError(
+          `Step ${step.id} cannot depend on itself`
+        )
+      }
+
+      const reference = stepsById.has(depId) ? null : parseQualifiedStepId(depId)
+
+      if (reference && reference.planId !== planId) {
+        const plan = changePlans.get(reference.planId)
+
+        // References left dangling by a forced plan deletion may stay until
+        // they are removed, but no new ones can be added
+        const dangling = !plan || !plan.steps.some(s => s.id === reference.stepId)
+        const existing = currentPlan && currentPlan.steps.some(s =>
+          s.id === step.id && (s.dependsOn || []).includes(depId)
+        )
+
+        if (dangling && !existing) {
+          throw new InvalidInputError(
+            `Step ${step.id} depends on step ${reference.stepId} of plan ${reference.planId}, which doesn't exist`
+          )
+        }
+      } else if (!stepsById.has(depId)) {
+        throw new InvalidInputError(
+          `Step ${step.id} depends on non-existent step ID: ${depId}`
+        )
+      }
+    }
+
+    if (step.parentId === step.id) {
+      throw new InvalidInputError(
+        `Step ${step.id} cannot be a sub-step of itself`
+      )
+    }
+
+    if (step.parentId && !stepsById.has(step.parentId)) {
+      throw new InvalidInputError(
+        `Step ${step.id} is a sub-step of non-existent step ID: ${step.parentId}`
+      )
+    }
+  }
+
+  // Every chain of parents has to end at a top-level step
+  for (const step of steps) {
+    const chain = [step.id]
+    let parentId = step.parentId
+
+    while (parentId) {
+      if (chain.includes(parentId)) {
+        const cycle = [...chain.slice(chain.indexOf(parentId)), parentId]
+        throw new InvalidInputError(
+          `Circular sub-steps detected: ${cycle.join(' -> ')} (each step is a sub-step of the next)`,
+          { cycle }
+        )
+      }
+      chain.push(parentId)
+      parentId = stepsById.get(parentId).parentId
+    }
+  }
+
+  // A step already waits for its sub-steps, and can't wait for its parents
+  const isAncestor = (ancestorId, step) => {
+    for (let parentId = step.parentId; parentId; parentId = stepsById.get(parentId).parentId) {
+      if (parentId === ancestorId) {
+        return true
+      }
+    }
+    return false
+  }
+
+  for (const step of steps) {
+    for (const depId of (step.dependsOn || []).filter(depId => stepsById.has(depId))) {
+      if (isAncestor(depId, step)) {
+        throw new InvalidInputError(
+          `Step ${step.id} cannot depend on step ${depId} because it is a sub-step of it`
+        )
+      }
+
+      if (isAncestor(step.id, stepsById.get(depId))) {
+        throw new InvalidInputError(
+          `Step ${step.id} cannot depend on its own sub-step ${depId}: a parent step is only complete once its sub-steps are`
+        )
+      }
+    }
+  }
+
+  // The steps each step waits for: its own dependencies, those inherited from
+  // its parents, and its sub-steps
+  const isLocal = depId => stepsById.has(depId)
+  const waitsFor = new Map(steps.map(step => [step.id, new Set((step.dependsOn || []).filter(isLocal))]))
+  for (const step of steps) {
+    let parent = stepsById.get(step.parentId)
+
+    if (parent) {
+      waitsFor.get(parent.id).add(step.id)
+    }
+    while (parent) {
+      (parent.dependsOn || []).filter(isLocal).forEach(depId => waitsFor.get(step.id).add(depId))
+      parent = stepsById.get(parent.parentId)
+    }
+  }
+
+  // Depth-first search, keeping the current path so a cycle can be reported
+  const visited = new Set()
+  const currentPath = []
+
+  function findCycle(stepId) {
+    const pathIndex = currentPath.indexOf(stepId)
+    if (pathIndex !== -1) {
+      return [...currentPath.slice(pathIndex), stepId]
+    }
+    if (visited.has(stepId)) {
+      return null
+    }
+
+    currentPath.push(stepId)
+    for (const depId of waitsFor.get(stepId)) {
+      const cycle = findCycle(depId)
+      if (cycle) {
+        return cycle
+      }
+    }
+    currentPath.pop()
+    visited.add(stepId)
+
+    return null
+  }
+
+  for (const step of steps) {
+    const cycle = findCycle(step.id)
+    if (cycle) {
+      throw new InvalidInputError(
+        `Circular dependency detected: ${cycle.join(' -> ')} (each step waits for the next, as a dependency, a dependency of one of its parents or a sub-step)`,
+        { cycle }
+      )
+    }
+  }
+
+  if (planId) {
+    findCrossPlanCycle(planId, steps)
+  }
+}
+
+// Look for steps waiting for each other in a cycle that runs through other
+// plans, with the given steps in place of the plan's current ones. Besides
+// what validateStepGraph follows within a plan, a step waits for the steps
+// of other plans it depends on and for the steps of its sub-plan. Throws an
+// InvalidInputError naming the cycle as "planId:stepId" if there is one.
+function findCrossPlanCycle(planId, steps) {
+  const plans = new Map(changePlans)
+  plans.set(planId, { id: planId, steps })
+
+  const stepExists = (id, stepId) => plans.has(id) && plans.get(id).steps.some(s => s.id === stepId)
+  const waitsFor = new Map()
+
+  for (const plan of plans.values()) {
+    const stepsById = new Map(plan.steps.map(step => [step.id, step]))
+    const resolve = depId => {
+      if (stepsById.has(depId)) {
+        return `${plan.id}:${depId}`
+      }
+      const reference = parseQualifiedStepId(depId)
+      return reference && stepExists(reference.planId, reference.stepId) ? `${reference.planId}:${reference.stepId}` : null
+    }
+
+    for (const step of plan.steps) {
+      const targets = new Set((step.dependsOn || []).map(resolve))
+
+      for (let parent = stepsById.get(step.parentId); parent; parent = stepsById.get(parent.parentId)) {
+        (parent.dependsOn || []).forEach(depId => targets.add(resolve(depId)))
+      }
+      plan.steps.filter(child => child.parentId === step.id).forEach(child => targets.add(`${plan.id}:${child.id}`))
+
+      if (step.subPlanId && plans.has(step.subPlanId)) {
+        plans.get(step.subPlanId).steps.forEach(subStep => targets.add(`${step.subPlanId}:${subStep.id}`))
+      }
+
+      targets.delete(null)
+      waitsFor.set(`${plan.id}:${step.id}`, targets)
+    }
+  }
+
+  // Depth-first search from the plan's steps, as in validateStepGraph
+  const visited = new Set()
+  const currentPath = []
+
+  function findCycle(key) {
+    const pathIndex = currentPath.indexOf(key)
+    if (pathIndex !== -1) {
+      return [...currentPath.slice(pathIndex), key]
+    }
+    if (visited.has(key)) {
+      return null
+    }
+
+    currentPath.push(key)
+    for (const target of waitsFor.get(key) || []) {
+      const cycle = findCycle(target)
+      if (cycle) {
+        return cycle
+      }
+    }
+    currentPath.pop()
+    visited.add(key)
+
+    return null
+  }
+
+  for (const step of steps) {
+    const cycle = findCycle(`${planId}:${step.id}`)
+    if (cycle) {
+      throw new InvalidInputError(
+        `Circular dependency across plans detected: ${cycle.join(' -> ')} (each step waits for the next, as a dependency, a sub-step or a step of its sub-plan)`,
+        { cycle }
+      )
+    }
+  }
+}
+
+// Check that a step of one plan can have another plan as its sub-plan: the
+// sub-plan has to exist, and can't be the step's own plan or lead back to it
+// through sub-plans of its own. Throws a NotFoundError or InvalidInputError
+// if the link isn't valid.
+function validateSubPlanLink(planId, subPlanId) {
+  if (!changePlans.has(subPlanId)) {
+    throw new NotFoundError(
+      `Sub-plan with ID ${subPlanId} not found`
+    )
+  }
+
+  // Depth-first search down the sub-plans, keeping the chain of plan IDs
+  const visited = new Set()
+
+  function findChain(currentId) {
+    if (currentId === planId) {
+      return [planId]
+    }
+    if (visited.has(currentId) || !changePlans.has(currentId)) {
+      return null
+    }
+    visited.add(currentId)
+
+    for (const step of changePlans.get(currentId).steps) {
+      const chain = step.subPlanId ? findChain(step.subPlanId) : null
+      if (chain) {
+        return [currentId, ...chain]
+      }
+    }
+    return null
+  }
+
+  const chain = findChain(subPlanId)
+
+  if (chain) {
+    const cycle = [planId, ...chain]
+    throw new InvalidInputError(
+      `Plan ${subPlanId} cannot be a sub-plan of plan ${planId}: ${cycle.join(' -> ')} (each plan is a sub-plan of the previous)`,
+      { cycle }
+    )
+  }
+}
+
+// Migrate a plan read from storage to the current format
+function prepareLoadedPlan(plan) {
+  plan.steps.forEach(migrateStep)
+  ensureStepCounter(plan)
+
+  if (!Number.isInteger(plan.revision)) {
+    plan.revision = 1
+  }
+
+  return plan
+}
+
+// Replace the in-memory plans with plans read from storage
+function replacePlans(plans) {
+  changePlans.clear()
+
+  plans.forEach(plan => {
+    changePlans.set(plan.id, prepareLoadedPlan(plan))
+  })
+}
+
+// Remember the plans as they are in storage, as the base for later merges
+function recordStoredPlans(plans) {
+  storedPlans.clear()
+
+  plans.forEach(plan => {
+    storedPlans.set(plan.id, JSON.stringify(plan))
+  })
+}
+
+// Three-way merge, plan by plan, of the in-memory plans with plans another
+// process saved. A plan changed on one side only takes that side's version.
+// A plan both sides changed differently is a conflict and keeps the stored
+// version.
+function mergePlans(theirPlans) {
+  const theirs = new Map(theirPlans.map(plan => [plan.id, plan]))
+  const ids = new Set([...theirs.keys(), ...changePlans.keys(), ...storedPlans.keys()])
+  const merged = new Map()
+  const conflicts = []
+
+  for (const id of ids) {
+    const base = storedPlans.get(id)
+    const ourPlan = changePlans.get(id)
+    const theirPlan = theirs.get(id)
+    const ourJson = ourPlan && JSON.stringify(ourPlan)
+    const theirJson = theirPlan && JSON.stringify(theirPlan)
+
+    let plan = theirPlan
+    if (ourJson !== base) {
+      if (theirJson === base || theirJson === ourJson) {
+        plan = ourPlan
+      } else {
+        conflicts.push(id)
+      }
+    }
+
+    if (plan) {
+      merged.set(id, plan)
+    }
+  }
+
+  return { merged, conflicts }
+}
+
+// Merge plans read from storage into the in-memory plans. Throws a CONFLICT
+// error if another process changed a plan that also changed here.
+function applyStoredPlans(plans) {
+  plans.forEach(prepareLoadedPlan)
+  const { merged, conflicts } = mergePlans(plans)
+
+  changePlans.clear()
+  merged.forEach((plan, id) => changePlans.set(id, plan))
+  recordStoredPlans(plans)
+  notifyPlanChanges()
+  updateStepIndex()
+
+  if (conflicts.length > 0) {
+    throw new ConflictError(
+      `Change plan ${conflicts.join(', ')} was changed by another process at the same time. The other change was kept and this one discarded: re-read the plan and try again.`,
+      { planIds: conflicts }
+    )
+  }
+}
+
+// Pick up changes other processes sharing the store made since this one last
+// loaded or saved it. Called before handling each request.
+function syncPlans() {
+  if (storage && storage.hasChanged()) {
+    applyStoredPlans(storage.load())
+  }
+}
+
+// Load existing plans from storage
+function loadPlans() {
+  try {
+    if (storage) {
+      const plans = storage.load()
+      replacePlans(plans)
+      recordStoredPlans(plans)
+      updateStepIndex()
+      
+      logger.info(`Loaded ${plans.length} change plans from ${storage.description}`)
+    }
+  } catch (error) {
+    logger.error(`Error loading change plans: ${error.message}`)
+    // Continue execution even if loading fails
+  }
+}
+
+// Who is making changes, for the audit history: the client handling the
+// current request, and in HTTP mode the token it used and its session
+function getActor() {
+  const context = requestContext.getStore()
+  const client = context && context.server.server.getClientVersion()
+  let actor = client ? `${client.name} ${client.version}` : 'unknown'
+
+  if (context && context.authInfo) {
+    actor = `${context.authInfo.clientId} via ${actor}`
+  }
+  if (context && context.sessionId) {
+    actor = `${actor} (session ${context.sessionId})`
+  }
+
+  return actor
+}
+
+// Create an audit history event for each plan that differs from its stored
+// version, with the whole plan before and after the change. A plan that was
+// created has no before, a plan that was deleted has no after.
+function createHistoryEvents(tool, details) {
+  const at = new Date().toISOString()
+  const actor = getActor()
+  const events = []
+
+  for (const id of new Set([...storedPlans.keys(), ...changePlans.keys()])) {
+    const before = storedPlans.get(id)
+    const plan = changePlans.get(id)
+    const after = plan && JSON.stringify(plan)
+
+    if (before !== after) {
+      events.push({
+        id: crypto.randomUUID(),
+        planId: id,
+        at,
+        actor,
+        tool,
+        revision: plan ? plan.revision : null,
+        ...details,
+        before: before ? JSON.parse(before) : null,
+        after: plan ? JSON.parse(after) : null
+      })
+    }
+  }
+
+  return events
+}
+
+// Replay a plan's history to find the changes that can be undone and redone.
+// Undoing pops the latest change onto the redo stack, redoing pushes it back,
+// and any other change clears the redo stack.
+function getUndoStacks(events) {
+  const undoStack = []
+  let redoStack = []
+
+  for (const event of events) {
+    if (event.undoes) {
+      const index = undoStack.findIndex(undone => undone.id === event.undoes)
+      if (index !== -1) {
+        redoStack.push(...undoStack.splice(index, 1))
+      }
+    } else if (event.redoes) {
+      const index = redoStack.findIndex(redone => redone.id === event.redoes)
+      if (index !== -1) {
+        undoStack.push(...redoStack.splice(index, 1))
+      }
+    } else {
+      undoStack.push(event)
+      redoStack = []
+    }
+  }
+
+  return { undoStack, redoStack }
+}
+
+// Summarise what changed between two versions of a plan: plan fields, and
+// steps added, removed, reordered or with changed fields
+function describePlanChanges(before, after) {
+  if (!before) {
+    return [{ change: 'created' }]
+  }
+  if (!after) {
+    return [{ change: 'deleted' }]
+  }
+
+  const changes = []
+  const ignoredPlanFields = ['steps', 'revision', 'updatedAt']
+  const ignoredStepFields = ['statusHistory']
+
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!ignoredPlanFields.includes(field) && JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, before: before[field], after: after[field] })
+    }
+  }
+
+  const beforeSteps = new Map(before.steps.map(step => [step.id, step]))
+  const afterSteps = new Map(after.steps.map(step => [step.id, step]))
+
+  for (const step of before.steps) {
+    if (!afterSteps.has(step.id)) {
+      changes.push({ stepId: step.id, change: 'removed', title: step.title })
+    }
+  }
+
+  for (const step of after.steps) {
+    const previous = beforeSteps.get(step.id)
+    if (!previous) {
+      changes.push({ stepId: step.id, change: 'added', title: step.title })
+      continue
+    }
+
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(step)])) {
+      if (!ignoredStepFields.includes(field) && JSON.stringify(previous[field]) !== JSON.stringify(step[field])) {
+        changes.push({ stepId: step.id, field, before: previous[field], after: step[field] })
+      }
+    }
+  }
+
+  const keptBefore = before.steps.filter(step => afterSteps.has(step.id)).map(step => step.id)
+  const keptAfter = after.steps.filter(step => beforeSteps.has(step.id)).map(step => step.id)
+  if (keptBefore.join() !== keptAfter.join()) {
+    changes.push({ change: 'reordered', before: keptBefore, after: keptAfter })
+  }
+
+  return changes
+}
+
+// Put a plan back to a version recorded in its history. The restored plan
+// gets a new revision, so revisions never go backwards, and keeps the step
+// ID counter, so undone steps' IDs aren't reused. A null version
+// deletes the plan, which is refused as delete_change_plan refuses it unless
+// force is set. Other plans may have changed since the version was recorded,
+// so its steps are checked against them as when they were first saved.
+// Throws an InvalidInputError if the version can't be restored.
+function restorePlanVersion(planId, version, { force = false } = {}) {
+  const current = changePlans.get(planId)
+
+  if (!version) {
+    const { dependents, subPlanSteps, reason } = getPlanDependents(planId)
+
+    if (current && reason && !force) {
+      throw new InvalidInputError(
+        `This would delete change plan ${planId}, but ${reason}. Remove those dependencies first, or set force=true to go ahead anyway.`,
+        { dependents, subPlanSteps }
+      )
+    }
+
+    changePlans.delete(planId)
+    return null
+  }
+
+  const plan = prepareLoadedPlan(JSON.parse(JSON.stringify(version)))
+
+  for (const step of plan.steps) {
+    // Sub-plans deleted since stay unlinked, as after a forced deletion
+    if (step.subPlanId && changePlans.has(step.subPlanId)) {
+      validateSubPlanLink(planId, step.subPlanId)
+    }
+  }
+  validateStepGraph(plan.steps, planId)
+
+  plan.revision = Math.max(plan.revision, current ? current.revision : 0)
+  // Step IDs handed out since the version was recorded stay used
+  plan.nextStepId = Math.max(plan.nextStepId, (current && current.nextStepId) || 0)
+  touchPlan(plan)
+  changePlans.set(planId, plan)
+
+  return plan
+}
+
+// Save plans to storage, recording the change in the audit history as made
+// by the given tool. Details are added to the history events. Routine changes,
+// such as renewing a step claim, can be left out of the history. Throws a
+// StorageError if the plans couldn't be saved, in which case the change is
+// only in memory.
+function savePlans(tool, details = {}, { recordHistory = true } = {}) {
+  if (!storage) {
+    updateStepIndex()
+    throw new StorageError('No storage location is available. The changes were applied in memory only.')
+  }
+  
+  try {
+    storage.withLock(() => {
+      // Merge in anything other processes saved since we last read the store
+      if (storage.hasChanged()) {
+        applyStoredPlans(storage.load())
+      }
+      
+      const plans = Array.from(changePlans.values())
+      const events = recordHistory ? createHistoryEvents(tool, details) : []
+      storage.save(plans)
+      storage.appendHistory(events)
+      recordStoredPlans(plans)
+    })
+    notifyPlanChanges()
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      throw error
+    }
+    throw new StorageError(`Failed to save changes to storage: ${error.message}. The changes were applied in memory only.`)
+  } finally {
+    updateStepIndex()
+  }
+}
+
+// Step fields search_steps looks in, with how much a match in each counts
+// towards a step's score
+const STEP_SEARCH_FIELDS = { title: 3, description: 1, context: 1, statusReason: 1 }
+
+// Filters search_steps queries can use, as "name:value"
+const STEP_SEARCH_FILTERS = ['priority', 'status', 'plan']
+
+const DEFAULT_SEARCH_LIMIT = 20
+const MAX_SEARCH_LIMIT = 100
+
+// Split text into lowercase words
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []
+}
+
+// The text of a step field, with whitespace collapsed
+function getStepFieldText(step, field) {
+  return typeof step[field] === 'string' ? step[field].replace(/\s+/g, ' ').trim() : ''
+}
+
+function removePlanFromIndex(planId) {
+  const indexed = stepIndex.plans.get(planId)
+
+  if (!indexed) {
+    return
+  }
+
+  for (const [key, tokens] of indexed.steps) {
+    for (const token of tokens) {
+      const keys = stepIndex.postings.get(token)
+      keys.delete(key)
+      if (keys.size === 0) {
+        stepIndex.postings.delete(token)
+      }
+    }
+  }
+
+  stepIndex.plans.delete(planId)
+}
+
+function addPlanToIndex(changePlan) {
+  const steps = new Map()
+
+  for (const step of changePlan.steps) {
+    const key = `${changePlan.id}:${step.id}`
+    const tokens = new Set(Object.keys(STEP_SEARCH_FIELDS).flatMap(field => tokenize(getStepFieldText(step, field))))
+
+    for (const token of tokens) {
+      if (!stepIndex.postings.has(token)) {
+        stepIndex.postings.set(token, new Set())
+      }
+      stepIndex.postings.get(token).add(key)
+    }
+    steps.set(key, tokens)
+  }
+
+  stepIndex.plans.set(changePlan.id, { version: `${changePlan.revision} ${changePlan.updatedAt}`, steps })
+}
+
+// Bring the step index up to date with the in-memory plans, re-indexing the
+// plans that changed since they were last indexed
+function updateStepIndex() {
+  for (const planId of Array.from(stepIndex.plans.keys())) {
+    if (!changePlans.has(planId)) {
+      removePlanFromIndex(planId)
+    }
+  }
+
+  for (const changePlan of changePlans.values()) {
+    const indexed = stepIndex.plans.get(changePlan.id)
+
+    if (!indexed || indexed.version !== `${changePlan.revision} ${changePlan.updatedAt}`) {
+      removePlanFromIndex(changePlan.id)
+      addPlanToIndex(changePlan)
+    }
+  }
+}
+
+// Parse a search_steps query into the words to look for, quoted phrases and
+// "name:value" filters. Values of filters can be quoted too. Anything that
+// looks like a filter but isn't one is searched for as text.
+function parseStepQuery(query) {
+  const parsed = { words: [], phrases: [], filters: {} }
+  const parts = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"?|(\S+)/g
+  let match
+
+  while ((match = parts.exec(query)) !== null) {
+    const name = (match[1] || match[3] || '').toLowerCase()
+    const value = match[1] ? match[2] : match[4]
+
+    if (name && STEP_SEARCH_FILTERS.includes(name)) {
+      if (parsed.filters[name] !== undefined) {
+        throw new InvalidInputError(`The query has more than one ${name}: filter`)
+      }
+      parsed.filters[name] = name === 'plan' ? value : value.toLowerCase()
+    } else if (match[5] !== undefined) {
+      const words = tokenize(match[5])
+      if (words.length > 1) {
+        parsed.phrases.push(words)
+      } else {
+        parsed.words.push(...words)
+      }
+    } else {
+      parsed.words.push(...tokenize(match[0]))
+    }
+  }
+
+  if (parsed.filters.priority && !(parsed.filters.priority in PRIORITY_ORDER)) {
+    throw new InvalidInputError(`Unknown priority ${parsed.filters.priority}: use one of ${Object.keys(PRIORITY_ORDER).join(', ')}`)
+  }
+  if (parsed.filters.status && !STEP_STATUSES.includes(parsed.filters.status)) {
+    throw new InvalidInputError(`Unknown status ${parsed.filters.status}: use one of ${STEP_STATUSES.join(', ')}`)
+  }
+
+  return parsed
+}
+
+// A regular expression matching a sequence of words from tokenize as whole
+// words, separated by anything else
+function createWordsPattern(words) {
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${words.join('[^\\p{L}\\p{N}_]+')}(?![\\p{L}\\p{N}_])`, 'giu')
+}
+
+// Cut the part around the first match out of a text, with "…" where it was
+// cut and every match in it in bold. Returns null if nothing matches.
+function createSnippet(text, patterns, radius = 60) {
+  const matches = patterns
+    .flatMap(pattern => Array.from(text.matchAll(pattern), match => ({ start: match.index, end: match.index + match[0].length })))
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .filter((match, index, all) => index === 0 || match.start >= all[index - 1].end)
+
+  if (matches.length === 0) {
+    return null
+  }
+
+  let start = Math.max(0, matches[0].start - radius)
+  let end = Math.min(text.length, matches[0].end + radius)
+
+  // Cut between words
+  if (start > 0) {
+    const space = text.indexOf(' ', start)
+    start = space !== -1 && space < matches[0].start ? space + 1 : start
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end)
+    end = space > matches[0].end ? space : end
+  }
+
+  let snippet = ''
+  let position = start
+  for (const match of matches.filter(m => m.start >= start && m.end <= end)) {
+    snippet += `${text.slice(position, match.start)}**${text.slice(match.start, match.end)}**`
+    position = match.end
+  }
+  snippet += text.slice(position, end)
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`
+}
+
+// Search the steps of all plans with a search_steps query. Every word and
+// phrase has to occur in one of the step's fields, and every filter has to
+// match. Steps are scored by how often the words and phrases occur in them,
+// matches in the title counting the most. Returns the number of matching
+// steps and the best ones, with a snippet of the field that matched best.
+function searchSteps(query, limit = DEFAULT_SEARCH_LIMIT) {
+  const { words, phrases, filters } = parseStepQuery(query)
+  const searchWords = [...new Set([...words, ...phrases.flat()])]
+
+  if (searchWords.length === 0 && Object.keys(filters).length === 0) {
+    throw new InvalidInputError('The query has nothing to search for')
+  }
+
+  // Candidates from the index: the steps that have all the words
+  let keys
+  if (searchWords.length > 0) {
+    const postings = searchWords
+      .map(word => stepIndex.postings.get(word) || new Set())
+      .sort((a, b) => a.size - b.size)
+    keys = Array.from(postings[0]).filter(key => postings.every(posting => posting.has(key)))
+  } else {
+    keys = Array.from(stepIndex.plans.values()).flatMap(indexed => Array.from(indexed.steps.keys()))
+  }
+
+  const patterns = [...words.map(word => createWordsPattern([word])), ...phrases.map(createWordsPattern)]
+  const phrasePatterns = patterns.slice(words.length)
+  const results = []
+
+  for (const key of keys) {
+    const { planId, stepId } = parseQualifiedStepId(key)
+    const changePlan = changePlans.get(planId)
+    const step = changePlan && changePlan.steps.find(s => s.id === stepId)
+
+    if (!step ||
+        (filters.plan && planId !== filters.plan) ||
+        (filters.priority && (step.priority || 'medium') !== filters.priority) ||
+        (filters.status && step.status !== filters.status)) {
+      continue
+    }
+
+    const fields = Object.keys(STEP_SEARCH_FIELDS).map(field => ({ field, text: getStepFieldText(step, field) }))
+
+    if (!phrasePatterns.every(pattern => fields.some(({ text }) => text.match(pattern)))) {
+      continue
+    }
+
+    let score = 0
+    let best = null
+    for (const { field, text } of fields) {
+      const count = patterns.reduce((sum, pattern) => sum + (text.match(pattern) || []).length, 0)
+      score += count * STEP_SEARCH_FIELDS[field]
+      if (count > 0 && (!best || count * STEP_SEARCH_FIELDS[field] > best.weight)) {
+        best = { field, text, weight: count * STEP_SEARCH_FIELDS[field] }
+      }
+    }
+
+    results.push({
+      planId,
+      planName: changePlan.name,
+      step,
+      score,
+      matchedField: best ? best.field : null,
+      snippet: best ? createSnippet(best.text, patterns) : getStepFieldText(step, 'title')
+    })
+  }
+
+  results.sort((a, b) => b.score - a.score)
+
+  return {
+    total: results.length,
+    results: results.slice(0, limit).map(({ planId, planName, step, score, matchedField, snippet }) => ({
+      planId,
+      planName,
+      stepId: step.id,
+      title: step.title,
+      status: step.status,
+      priority: step.priority || 'medium',
+      score,
+      matchedField,
+      snippet
+    }))
+  }
+}
+
+// Formats import_change_plan reads plans from
+const IMPORT_FORMATS = ['json', 'yaml', 'markdown']
+
+// Markdown checklist items: "- [ ] title", "* [x] title" or "1. [ ] title"
+const MARKDOWN_TASK = /^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/
+const MARKDOWN_HEADING = /^#{1,6}\s+(.*?)\s*#*\s*$/
+const MARKDOWN_PRIORITY_HEADING = /^(high|medium|low)(\s+priority)?$/i
+
+// Parse a GitHub-flavoured Markdown checklist into a plan. The first heading
+// is the plan's name, and headings such as "High priority" set the priority
+// of the items below them. Each checklist item is a step, checked items are
+// done, and items nested under an item are its sub-steps. Indented lines
+// under an item are its description, then its context. The "(step N)",
+// "Depends on: step N" and "Sub-plan: ID" that export_change_plan writes are
+// read back as dependencies and sub-plans, so exported plans keep them, as
+// are dependencies on steps of other plans ("Depends on: step planId:N").
+function parseMarkdownPlan(text) {
+  const steps = []
+  const notes = new Map()
+  const references = new Map()
+  const exportedIds = new Map()
+  const stack = []
+  let name
+  let priority = 'medium'
+
+  for (const line of text.split(/\r?\n/)) {
+    const indent = line.replace(/\t/g, '    ').search(/\S/)
+    const heading = line.match(MARKDOWN_HEADING)
+    const task = line.match(MARKDOWN_TASK)
+
+    if (heading) {
+      const priorityHeading = heading[1].match(MARKDOWN_PRIORITY_HEADING)
+
+      if (priorityHeading) {
+        priority = priorityHeading[1].toLowerCase()
+      } else if (name === undefined && steps.length === 0) {
+        name = heading[1]
+      } else {
+        priority = 'medium'
+      }
+      stack.length = 0
+    } else if (task) {
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop()
+      }
+
+      // Strip emphasis, and the step reference export_change_plan adds
+      const exportedId = task[3].match(/\(step ([^,)]+)[^)]*\)\s*$/)
+      const title = task[3]
+        .replace(/\s*\(step [^)]*\)\s*$/, '')
+        .replace(/^(\*\*|__|~~)(.*)\1$/, '$2')
+        .trim()
+
+      const step = {
+        id: steps.length.toString(),
+        title,
+        dependsOn: [],
+        priority,
+        completed: task[2].toLowerCase() === 'x'
+      }
+
+      if (stack.length > 0) {
+        step.parentId = stack[stack.length - 1].step.id
+      }
+
+      if (exportedId) {
+        exportedIds.set(exportedId[1], step.id)
+      }
+
+      steps.push(step)
+      notes.set(step.id, [])
+      references.set(step.id, [])
+      stack.push({ indent, step })
+    } else if (indent !== -1 && stack.length > 0 && indent > stack[stack.length - 1].indent) {
+      const note = line.trim().replace(/^[-*+]\s+/, '')
+      const dependsOn = note.match(/^Depends on:\s*(.+)$/i)
+      const subPlan = note.match(/^Sub-plan:\s*(\S+)$/i)
+      const stepId = stack[stack.length - 1].step.id
+
+      if (dependsOn) {
+        references.get(stepId).push(dependsOn[1])
+      } else if (subPlan) {
+        stack[stack.length - 1].step.subPlanId = subPlan[1]
+      } else {
+        notes.get(stepId).push(note)
+      }
+    }
+  }
+
+  return {
+    name,
+    steps: steps.map(step => {
+      const [description, ...context] = notes.get(step.id)
+
+      // Resolve "Depends on" lines naming exported steps or steps of other
+      // plans; keep others as context
+      for (const reference of references.get(step.id)) {
+        const depIds = reference.split(',').map(part => {
+          const depId = part.trim().replace(/^step\s+/i, '')
+          return exportedIds.get(depId) || (parseQualifiedStepId(depId) ? depId : undefined)
+        })
+
+        if (depIds.every(Boolean)) {
+          step.dependsOn.push(...depIds.filter(depId => !step.dependsOn.includes(depId)))
+        } else {
+          context.push(`Depends on: ${reference}`)
+        }
+      }
+
+      return { ...step, description: description || step.title, context: context.join('\n') }
+    })
+  }
+}
+
+// Fill in what the YAML and Markdown formats may leave out: a new plan ID,
+// step descriptions (the title), and `done: true` for completed steps. Steps
+// listed under a step's own `steps` become its sub-steps. Steps without an ID
+// get their position in the flattened list, which dependsOn can refer to.
+function completeSimplePlan(plan) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return plan
+  }
+
+  const flattenSteps = (steps, parentId, flatSteps = []) => {
+    for (const step of steps) {
+      if (!step || typeof step !== 'object') {
+        flatSteps.push(step)
+        continue
+      }
+
+      const { steps: subSteps, done, ...fields } = step
+      const id = fields.id ?? flatSteps.length.toString()
+      flatSteps.push({
+        ...fields,
+        id,
+        ...(parentId !== undefined ? { parentId } : {}),
+        description: fields.description ?? fields.title,
+        completed: fields.completed ?? done
+      })
+
+      if (Array.isArray(subSteps)) {
+        flattenSteps(subSteps, id, flatSteps)
+      }
+    }
+    return flatSteps
+  }
+
+  return {
+    ...plan,
+    id: plan.id ?? Date.now().toString(),
+    steps: Array.isArray(plan.steps) ? flattenSteps(plan.steps) : plan.steps
+  }
+}
+
+// Parse the data passed to import_change_plan in one of the import formats.
+// YAML uses the JSON schema, so dates and other values stay plain strings.
+function parseImportData(data, format) {
+  if (format === 'markdown') {
+    return parseMarkdownPlan(data)
+  }
+  if (format === 'yaml') {
+    return yaml.load(data, { schema: yaml.JSON_SCHEMA })
+  }
+  return JSON.parse(data)
+}
+
+// Problems with an imported plan that don't stop it from being imported
+function getImportWarnings(changePlan) {
+  const warnings = []
+
+  for (const step of changePlan.steps) {
+    const unmetDeps = getUnmetDependencies(changePlan, step)
+
+    if (isStepFinished(step) && unmetDeps.length > 0) {
+      warnings.push(`Step ${step.id} is ${step.status} but depends on unfinished steps: ${unmetDeps.join(', ')}`)
+    }
+
+    const unfinishedChildren = getUnfinishedChildren(changePlan, step)
+
+    if (step.status === StepStatus.DONE && unfinishedChildren.length > 0) {
+      warnings.push(`Step ${step.id} is done but has unfinished sub-steps: ${unfinishedChildren.join(', ')}`)
+    }
+
+    if (step.subPlanId && !changePlans.has(step.subPlanId)) {
+      warnings.push(`Step ${step.id} has sub-plan ${step.subPlanId}, which doesn't exist`)
+    }
+  }
+
+  if (changePlan.steps.length === 0) {
+    warnings.push('The plan has no steps')
+  }
+
+  return warnings
+}
+
+// Placeholders in template text: {{name}}
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g
+
+// Get the names of the placeholders in a piece of text
+function findPlaceholders(text) {
+  return Array.from((text || '').matchAll(TEMPLATE_PLACEHOLDER), match => match[1])
+}
+
+// Replace the placeholders in a piece of text with variable values
+function fillPlaceholders(text, values) {
+  return (text || '').replace(TEMPLATE_PLACEHOLDER, (match, name) => values[name])
+}
+
+// The links of a plan's steps a template can't keep: dependencies on steps of
+// other plans (or on steps that no longer exist) and sub-plans. A template
+// only holds its own steps, so these are left out by createTemplate.
+function getDroppedTemplateLinks(changePlan) {
+  const stepIds = new Set(changePlan.steps.map(step => step.id))
+
+  return changePlan.steps.flatMap(step => [
+    ...(step.dependsOn || [])
+      .filter(depId => !stepIds.has(depId))
+      .map(depId => ({ stepId: step.id, type: 'dependency', target: depId })),
+    ...(step.subPlanId ? [{ stepId: step.id, type: 'subPlan', target: step.subPlanId }] : [])
+  ])
+}
+
+// Turn a change plan into a reusable template. The steps keep their content
+// and dependencies but not their progress, and are renumbered from 0.
+// Placeholders in the plan name and the steps' titles, descriptions and
+// context become the template's variables. Options name groups of steps
+// that can be left out when creating a plan from the template.
+function createTemplate(changePlan, { name, description, planName, variables = [], options = [] }) {
+  const templateIds = new Map(changePlan.steps.map((step, index) => [step.id, index.toString()]))
+
+  const steps = changePlan.steps.map(step => ({
+    id: templateIds.get(step.id),
+    title: step.title,
+    description: step.description,
+    context: step.context || '',
+    dependsOn: (step.dependsOn || []).filter(depId => templateIds.has(depId)).map(depId => templateIds.get(depId)),
+    ...(templateIds.has(step.parentId) ? { parentId: templateIds.get(step.parentId) } : {}),
+    priority: step.priority || 'medium',
+    ...(typeof step.estimate === 'number' ? { estimate: step.estimate } : {})
+  }))
+
+  const texts = [planName, ...steps.flatMap(step => [step.title, step.description, step.context])]
+  const placeholders = [...new Set(texts.flatMap(findPlaceholders))]
+  const unusedVariables = variables.filter(variable => !placeholders.includes(variable.name)).map(variable => variable.name)
+
+  if (unusedVariables.length > 0) {
+    throw new InvalidInputError(
+      `Variables ${unusedVariables.join(', ')} don't appear as {{placeholders}} in the plan name or any step`,
+      { placeholders }
+    )
+  }
+
+  const optionNames = new Set()
+  const templateOptions = options.map(option => {
+    const unknownSteps = option.stepIds.filter(stepId => !templateIds.has(stepId))
+
+    if (optionNames.has(option.name)) {
+      throw new InvalidInputError(`Option ${option.name} is defined more than once`)
+    }
+    if (unknownSteps.length > 0) {
+      throw new InvalidInputError(`Option ${option.name} refers to steps that don't exist in plan ${changePlan.id}: ${unknownSteps.join(', ')}`)
+    }
+    optionNames.add(option.name)
+
+    return {
+      name: option.name,
+      ...(option.description ? { description: option.description } : {}),
+      default: option.default !== false,
+      stepIds: option.stepIds.map(stepId => templateIds.get(stepId))
+    }
+  })
+
+  const now = new Date().toISOString()
+  return {
+    name,
+    ...(description ? { description } : {}),
+    planName,
+    variables: placeholders.map(placeholder => ({
+      ...variables.find(variable => variable.name === placeholder),
+      name: placeholder
+    })),
+    options: templateOptions,
+    steps,
+    ...(changePlan.nextStepStrategy ? { nextStepStrategy: changePlan.nextStepStrategy } : {}),
+    ...(changePlan.strategyWeights ? { strategyWeights: changePlan.strategyWeights } : {}),
+    sourcePlanId: changePlan.id,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+// Fill in a template with variable values and options, returning the name
+// and steps of the new plan. Variables without a value take their default.
+// Steps in a disabled option are left out with their sub-steps, and steps
+// that depended on them depend on their dependencies instead, so the order
+// of the rest holds.
+function instantiateTemplate(template, { name, variables = {}, options = {} }) {
+  const unknownVariables = Object.keys(variables).filter(key => !template.variables.some(variable => variable.name === key))
+  const unknownOptions = Object.keys(options).filter(key => !template.options.some(option => option.name === key))
+
+  if (unknownVariables.length > 0 || unknownOptions.length > 0) {
+    throw new InvalidInputError(
+      `Template ${template.name} has no ${[...unknownVariables.map(key => `variable ${key}`), ...unknownOptions.map(key => `option ${key}`)].join(', ')}`,
+      {
+        variables: template.variables.map(variable => variable.name),
+        options: template.options.map(option => option.name)
+      }
+    )
+  }
+
+  const values = {}
+  const missing = []
+  for (const variable of template.variables) {
+    const value = variables[variable.name] ?? variable.default
+
+    if (value === undefined) {
+      missing.push(variable.name)
+    }
+    values[variable.name] = value
+  }
+
+  if (missing.length > 0) {
+    throw new InvalidInputError(`Missing values for template variables: ${missing.join(', ')}`, { missing })
+  }
+
+  // A name given for the plan can only use the template's own variables
+  const unknown = [...new Set(findPlaceholders(name))].filter(placeholder => !(placeholder in values))
+  if (unknown.length > 0) {
+    throw new InvalidInputError(
+      `The plan name uses placeholders that aren't variables of template ${template.name}: ${unknown.join(', ')}`,
+      { unknown }
+    )
+  }
+
+  const excluded = new Set(template.options
+    .filter(option => !(options[option.name] ?? option.default))
+    .flatMap(option => option.stepIds))
+  const parentIds = new Map(template.steps.map(step => [step.id, step.parentId]))
+  for (const step of template.steps) {
+    for (let parentId = step.parentId; parentId; parentId = parentIds.get(parentId)) {
+      if (excluded.has(parentId)) {
+        excluded.add(step.id)
+        break
+      }
+    }
+  }
+  const included = template.steps.filter(step => !excluded.has(step.id))
+
+  if (included.length === 0) {
+    throw new InvalidInputError(`The chosen options leave template ${template.name} without steps`)
+  }
+
+  // Replace dependencies on left out steps with their own dependencies
+  const stepsById = new Map(template.steps.map(step => [step.id, step]))
+  const resolveDependencies = (dependsOn, seen = new Set()) => dependsOn.flatMap(depId => {
+    if (!excluded.has(depId)) {
+      return [depId]
+    }
+    if (seen.has(depId)) {
+      return []
+    }
+    seen.add(depId)
+    return resolveDependencies(stepsById.get(depId).dependsOn || [], seen)
+  })
+
+  const planIds = new Map(included.map((step, index) => [step.id, index.toString()]))
+
+  return {
+    name: fillPlaceholders(name || template.planName, values),
+    steps: included.map(step => ({
+      title: fillPlaceholders(step.title, values),
+      description: fillPlaceholders(step.description, values),
+      context: fillPlaceholders(step.context, values),
+      dependsOn: [...new Set(resolveDependencies(step.dependsOn || []))].map(depId => planIds.get(depId)),
+      ...(step.parentId ? { parentId: planIds.get(step.parentId) } : {}),
+      priority: step.priority,
+      ...(typeof step.estimate === 'number' ? { estimate: step.estimate } : {})
+    }))
+  }
+}
+
+// Get the resource URI of a change plan
+function getPlanResourceUri(planId) {
+  return `${PLANS_RESOURCE_URI}/${encodeURIComponent(planId)}`
+}
+
+// Compare plans against the last published snapshots and send
+// resource-updated notifications for subscribed plans that changed. The
+// resource list changes when plans are created or deleted.
+function notifyPlanChanges() {
+  const changedUris = []
+  let listChanged = false
+
+  for (const [id, plan] of changePlans) {
+    const snapshot = JSON.stringify(plan)
+    if (planSnapshots.get(id) !== snapshot) {
+      listChanged = listChanged || !planSnapshots.has(id)
+      planSnapshots.set(id, snapshot)
+      changedUris.push(getPlanResourceUri(id))
+    }
+  }
+
+  for (const id of Array.from(planSnapshots.keys())) {
+    if (!changePlans.has(id)) {
+      listChanged = true
+      planSnapshots.delete(id)
+      changedUris.push(getPlanResourceUri(id))
+    }
+  }
+
+  if (changedUris.length === 0) {
+    return
+  }
+
+  // The listing includes progress, so it changes along with any plan
+  changedUris.push(PLANS_RESOURCE_URI)
+
+  for (const [server, subscriptions] of resourceSubscriptions) {
+    if (!server.isConnected()) {
+      continue
+    }
+
+    for (const uri of changedUris) {
+      if (subscriptions.has(uri)) {
+        server.server.sendResourceUpdated({ uri }).catch(error => {
+          logger.error(`Error sending resource update for ${uri}: ${error.message}`)
+        })
+      }
+    }
+
+    if (listChanged) {
+      server.sendResourceListChanged()
+    }
+  }
+}
+
+// Formats export_change_plan can render a plan in, besides its own JSON
+const EXPORT_FORMATS = ['json', 'markdown', 'mermaid', 'checklist']
+
+// Progress line for exported documents
+function describeProgress(changePlan) {
+  const finished = changePlan.steps.filter(isStepFinished).length
+
+  return `${finished} of ${changePlan.steps.length} steps finished (${getPercentComplete(changePlan)}%)`
+}
+
+// The status of a step for exported documents, e.g. "blocked: waiting for
+// review". Empty for pending and done steps, which their checkbox shows.
+function describeStepStatus(step) {
+  if (step.status === StepStatus.PENDING || step.status === StepStatus.DONE) {
+    return ''
+  }
+
+  const status = step.status.replace('_', ' ')
+  return step.statusReason ? `${status}: ${step.statusReason}` : status
+}
+
+// List a plan's steps with the sub-steps of each step right after it, and
+// the depth of each step in the tree. Starts from the given steps, by default
+// the plan's top-level steps.
+function listStepTree(changePlan, steps = changePlan.steps.filter(step => !getParentStep(changePlan, step)), depth = 0) {
+  return steps.flatMap(step => [
+    { step, depth },
+    ...listStepTree(changePlan, getChildSteps(changePlan, step.id), depth + 1)
+  ])
+}
+
+// Render a plan as a GitHub-flavoured Markdown task list, grouped by priority
+// of the top-level steps, with sub-steps nested under their parent. Done and
+// skipped steps are checked, skipped ones also struck through.
+function renderPlanAsMarkdown(changePlan) {
+  const lines = [`# ${changePlan.name}`, '', `Progress: ${describeProgress(changePlan)}`]
+
+  for (const priority of Object.keys(PRIORITY_ORDER)) {
+    const steps = changePlan.steps
+      .filter(step => !getParentStep(changePlan, step) && (step.priority || 'medium') === priority)
+
+    if (steps.length === 0) {
+      continue
+    }
+
+    lines.push('', `## ${priority[0].toUpperCase()}${priority.slice(1)} priority`, '')
+
+    for (const { step, depth } of listStepTree(changePlan, steps)) {
+      const indent = '  '.repeat(depth)
+      const title = step.status === StepStatus.SKIPPED ? `~~${step.title}~~` : `**${step.title}**`
+      const status = describeStepStatus(step)
+      lines.push(`${indent}- [${isStepFinished(step) ? 'x' : ' '}] ${title} (step ${step.id}${status ? `, ${status}` : ''})`)
+      lines.push(`${indent}  ${step.description}`)
+
+      if (step.dependsOn && step.dependsOn.length > 0) {
+        lines.push(`${indent}  - Depends on: ${step.dependsOn.map(depId => `step ${depId}`).join(', ')}`)
+      }
+      if (step.subPlanId) {
+        lines.push(`${indent}  - Sub-plan: ${step.subPlanId}`)
+      }
+      if (step.context) {
+        lines.push(`${indent}  - Context: ${step.context}`)
+      }
+    }
+  }
+
+  return lines.join('\n')
+}
+
+// Render a plan's dependency graph as a Mermaid flowchart, with steps that
+// have sub-steps drawn as subgraphs around them, and the steps of other plans
+// it depends on as dashed nodes. Node IDs come from step positions, since
+// step IDs may contain characters Mermaid doesn't allow.
+function renderPlanAsMermaid(changePlan) {
+  const nodeIds = new Map(changePlan.steps.map((step, index) => [step.id, `step${index}`]))
+  const escapeLabel = text => text.replace(/"/g, '#quot;')
+  const lines = ['graph TD']
+
+  const renderSteps = (steps, indent) => {
+    for (const step of steps) {
+      const children = getChildSteps(changePlan, step.id)
+
+      if (children.length > 0) {
+        lines.push(`${indent}subgraph ${nodeIds.get(step.id)} ["${escapeLabel(`${step.id}: ${step.title}`)}"]`)
+        renderSteps(children, `${indent}  `)
+        lines.push(`${indent}end`)
+      } else {
+        lines.push(`${indent}${nodeIds.get(step.id)}["${escapeLabel(`${step.id}: ${step.title}`)}"]`)
+      }
+    }
+  }
+  renderSteps(changePlan.steps.filter(step => !getParentStep(changePlan, step)), '  ')
+
+  const externalDepIds = [...new Set(changePlan.steps.flatMap(step => step.dependsOn || []))]
+    .filter(depId => !nodeIds.has(depId) && parseQualifiedStepId(depId))
+
+  externalDepIds.forEach((depId, index) => {
+    const depStep = resolveDependency(changePlan, depId)
+    nodeIds.set(depId, `external${index}`)
+    lines.push(`  external${index}["${escapeLabel(depStep ? `${depId}: ${depStep.title}` : `${depId} (missing)`)}"]`)
+  })
+
+  for (const step of changePlan.steps) {
+    for (const depId of step.dependsOn || []) {
+      if (nodeIds.has(depId)) {
+        lines.push(`  ${nodeIds.get(depId)} --> ${nodeIds.get(step.id)}`)
+      }
+    }
+  }
+
+  if (externalDepIds.length > 0) {
+    lines.push('  classDef external fill:#ffffff,stroke:#6c757d,stroke-dasharray:4 4')
+    lines.push(`  class ${externalDepIds.map(depId => nodeIds.get(depId)).join(',')} external`)
+  }
+
+  const statusStyles = {
+    [StepStatus.DONE]: 'fill:#d4edda,stroke:#28a745,color:#155724',
+    [StepStatus.SKIPPED]: 'fill:#e2e3e5,stroke:#6c757d,color:#6c757d,stroke-dasharray:4 4',
+    [StepStatus.IN_PROGRESS]: 'fill:#cce5ff,stroke:#007bff,color:#004085',
+    [StepStatus.BLOCKED]: 'fill:#fff3cd,stroke:#ffc107,color:#856404',
+    [StepStatus.FAILED]: 'fill:#f8d7da,stroke:#dc3545,color:#721c24'
+  }
+
+  for (const [status, style] of Object.entries(statusStyles)) {
+    const steps = changePlan.steps.filter(step => step.status === status)
+
+    if (steps.length > 0) {
+      lines.push(`  classDef ${status} ${style}`)
+      lines.push(`  class ${steps.map(step => nodeIds.get(step.id)).join(',')} ${status}`)
+    }
+  }
+
+  return lines.join('\n')
+}
+
+// Render a plan as a plain-text checklist in plan order, with sub-steps
+// indented under their parent:
+// [x] done, [-] skipped, [~] in progress, [!] blocked or failed, [ ] pending
+function renderPlanAsChecklist(changePlan) {
+  const marks = {
+    [StepStatus.DONE]: 'x',
+    [StepStatus.SKIPPED]: '-',
+    [StepStatus.IN_PROGRESS]: '~',
+    [StepStatus.BLOCKED]: '!',
+    [StepStatus.FAILED]: '!'
+  }
+
+  const lines = [changePlan.name, `Progress: ${describeProgress(changePlan)}`, '']
+
+  for (const { step, depth } of listStepTree(changePlan)) {
+    const status = describeStepStatus(step)
+    const dependencies = step.dependsOn && step.dependsOn.length > 0 ? ` [after ${step.dependsOn.join(', ')}]` : ''
+    const subPlan = step.subPlanId ? ` [sub-plan ${step.subPlanId}]` : ''
+    lines.push(`${'  '.repeat(depth)}[${marks[step.status] || ' '}] ${step.id}. ${step.title}${status ? ` (${status})` : ''}${dependencies}${subPlan}`)
+  }
+
+  return lines.join('\n')
+}
+
+const PLAN_RENDERERS = {
+  markdown: renderPlanAsMarkdown,
+  mermaid: renderPlanAsMermaid,
+  checklist: renderPlanAsChecklist
+}
+
+// Render a step as Markdown for use in prompts
+function formatStepForPrompt(step) {
+  const lines = [
+    `### Step ${step.id}: ${step.title}`,
+    `- Status: ${step.status}${step.statusReason ? ` (${step.statusReason})` : ''}`,
+    `- Priority: ${step.priority || 'medium'}${typeof step.estimate === 'number' ? `, estimate: ${step.estimate}` : ''}${step.dueDate ? `, due: ${step.dueDate}` : ''}`,
+    `- Depends on: ${step.dependsOn && step.dependsOn.length > 0 ? step.dependsOn.join(', ') : 'nothing'}`
+  ]
+
+  if (step.parentId) {
+    lines.push(`- Sub-step of: step ${step.parentId}`)
+  }
+
+  if (step.subPlanId) {
+    lines.push(`- Sub-plan: ${step.subPlanId}`)
+  }
+
+  if (step.completedAt) {
+    lines.push(`- Completed at: ${step.completedAt}`)
+  }
+
+  lines.push('', step.description)
+
+  if (step.context) {
+    lines.push('', `Context: ${step.context}`)
+  }
+
+  return lines.join('\n')
+}
+
+// Look up a plan for a prompt, failing the prompt request if it doesn't exist
+function getPlanForPrompt(planId) {
+  syncPlans()
+
+  const changePlan = changePlans.get(planId)
+
+  if (!changePlan) {
+    throw new McpError(ErrorCode.InvalidParams, `Change plan with ID ${planId} not found`)
+  }
+
+  return changePlan
+}
+
+// Load plans on startup
+loadPlans()
+
+// Record the loaded plans so the first save only notifies about real changes
+notifyPlanChanges()
+
+// Create an MCP server with all the tools, resources and prompts registered.
+// Stdio mode connects a single server. HTTP mode creates one per session, and
+// all of them share the same change plans.
+function createServer() {
+  const server = new McpServer({
+    name: "Change Plan MCP Server",
+    version: VERSION,
+  })
+
+  // Check the caller's scopes before running any tool
+  const registerTool = server.registerTool.bind(server)
+  server.registerTool = (name, config, handler) => {
+    if (!TOOL_SCOPES[name]) {
+      throw new Error(`Tool ${name} has no entry in TOOL_SCOPES`)
+    }
+
+    return registerTool(name, config, (...args) => {
+      logger.debug(`Calling tool ${name}`)
+
+      try {
+        authorizeTool(name)
+      } catch (error) {
+        return createErrorResult(handleError(error))
+      }
+
+      return handler(...args)
+    })
+  }
+
+  /**
+   * @api {tool} create_change_plan Create a new change plan
+   * @apiName CreateChangePlan
+   * @apiGroup ChangePlan
+   * @apiDescription Create a new change plan with multiple steps
+   * 
+   * @apiParam {String} name Name of the change plan
+   * @apiParam {Object[]} steps Array of step objects
+   * @apiParam {String} steps.title Title of the step
+   * @apiParam {String} steps.description Description of what needs to be done
+   * @apiParam {String} [steps.context] Additional context for the step
+   * @apiParam {String[]} [steps.dependsOn] Array of step IDs that must be completed before this step, or planId:stepId for steps of other plans
+   * @apiParam {String} [steps.parentId] ID of the step this step is a sub-step of
+   * @apiParam {String} [steps.subPlanId] ID of an existing plan whose steps make up this step
+   * @apiParam {String} [steps.priority] Priority level of the step: 'high', 'medium', or 'low' (default: 'medium')
+   * @apiParam {Number} [steps.estimate] Estimated effort for the step, in any unit used consistently within the plan
+   * @apiParam {String} [steps.dueDate] Date the step is due, as an ISO 8601 date
+   * @apiParam {String} [nextStepStrategy] How get_next_step picks the next step: 'priority', 'critical_path', 'due_date' or 'weighted' (default: 'priority')
+   * @apiParam {Object} [strategyWeights] Weights of the 'weighted' strategy: priority, downstream, dueDate and age
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the created change plan
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("create_change_plan", {
+    description: "Create a new change plan with multiple steps. Steps can include a title, description, optional context, dependencies on other steps, and priority level. A step can have sub-steps (steps whose parentId is its ID) or a sub-plan; it is complete once they all are.",
+    inputSchema: {
+      name: z.string().min(1, "Name is required").describe("The name of the change plan"),
+      steps: z.array(
+        z.object({
+          title: z.string().min(1, "Step title is required").describe("Title of the step"),
+          description: z.string().min(1, "Step description is required").describe("Description of what needs to be done"),
+          context: z.string().optional().describe("Additional context for the step"),
+          dependsOn: z.array(z.string()).optional().describe("Array of step IDs that must be completed before this step, or planId:stepId for steps of other plans"),
+          parentId: z.string().optional().describe("ID of the step this step is a sub-step of"),
+          subPlanId: z.string().optional().describe("ID of an existing plan whose steps make up this step"),
+          priority: PrioritySchema.optional().default('medium').describe("Priority level of the step: 'high', 'medium', or 'low'"),
+          estimate: EstimateSchema.optional().describe("Estimated effort for the step, in any unit used consistently within the plan (e.g. hours)"),
+          dueDate: DueDateSchema.optional().describe("Date the step is due, as an ISO 8601 date")
+        })
+      ).min(1, "At least one step is required").describe("Array of step objects. Step IDs are their positions in the array, starting at 0."),
+      nextStepStrategy: NextStepStrategySchema.optional().describe("How get_next_step picks the next step: 'priority' (default), 'critical_path', 'due_date' or 'weighted'"),
+      strategyWeights: StrategyWeightsSchema.optional().describe("Weights of the 'weighted' strategy")
+    },
+    outputSchema: PlanSchema.shape
+  }, async ({ name, steps, nextStepStrategy, strategyWeights }) => {
+    try {
+      syncPlans();
+
+      // Validate the dependency graph (step IDs are assigned by position)
+      validateStepGraph(
+        steps.map((step, index) => ({ id: index.toString(), dependsOn: step.dependsOn || [], parentId: step.parentId }))
+      );
+
+      const changePlan = buildChangePlan(name, steps, {
+        ...(nextStepStrategy ? { nextStepStrategy } : {}),
+        ...(strategyWeights ? { strategyWeights } : {})
+      });
+
+      for (const step of changePlan.steps.filter(s => s.subPlanId)) {
+        validateSubPlanLink(changePlan.id, step.subPlanId);
+      }
+
+      changePlans.set(changePlan.id, changePlan);
+
+      // Save plans to file
+      savePlans("create_change_plan");
+
+      return createToolResult(changePlan);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} get_change_plans Get all change plans
+   * @apiName GetChangePlans
+   * @apiGroup ChangePlan
+   * @apiDescription Get a page of the change plans, in full, as progress summaries or projected to some fields, sorted by creation, last update, name or percent complete
+   * 
+   * @apiParam {Boolean} [summary=false] List a summary of each plan's progress instead of the whole plan with its steps
+   * @apiParam {String[]} [fields] Only return these fields of each plan (its own fields and those of its summary); the ID is always returned
+   * @apiParam {String} [sortBy=createdAt] 'createdAt', 'updatedAt', 'name' or 'percentComplete'
+   * @apiParam {String} [order=asc] 'asc' or 'desc'
+   * @apiParam {Number} [limit=50] Maximum number of plans to return, up to 500
+   * @apiParam {String} [cursor] The nextCursor of the previous page
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the number of plans (total), the plans of the page (changePlans) and the cursor of the next page (nextCursor, null on the last page)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("get_change_plans", {
+    description: "Get a list of the change plans, a page at a time (50 by default; pass nextCursor as cursor for the next page). With summary set, each plan is listed as a summary of its progress (as get_plan_summary returns it) instead of with all its steps, and fields limits each plan to the given fields. Plans can be sorted by createdAt (default), updatedAt, name or percentComplete.",
+    inputSchema: PlanListingOptionsSchema.shape,
+    outputSchema: {
+      total: z.number().int().describe("The number of plans on all pages"),
+      changePlans: z.array(ListedPlanSchema),
+      nextCursor: z.string().nullable().describe("The cursor of the next page, null on the last page")
+    }
+  }, async (options) => {
+    try {
+      syncPlans();
+
+      const { total, items, nextCursor } = listPlansPage(Array.from(changePlans.values()), options);
+
+      return createToolResult({ total, changePlans: items, nextCursor });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} get_change_plan Get a specific change plan
+   * @apiName GetChangePlan
+   * @apiGroup ChangePlan
+   * @apiDescription Get details of a specific change plan by ID
+   * 
+   * @apiParam {String} id ID of the change plan to retrieve
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the change plan
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("get_change_plan", {
+    description: "Get details of a specific change plan by ID.",
+    inputSchema: {
+      id: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to retrieve")
+    },
+    outputSchema: PlanSchema.shape
+  }, async ({ id }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(id);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${id} not found`
+        ));
+      }
+
+      return createToolResult(changePlan);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} get_plan_summary Get a summary of a change plan's progress
+   * @apiName GetPlanSummary
+   * @apiGroup ChangePlan
+   * @apiDescription Get a summary of a change plan's progress without its steps: percent complete, step counts by status and priority, the blocked steps, the time since the plan last changed and the average time its done steps took from creation to completion
+   * 
+   * @apiParam {String} id ID of the change plan
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the summary (percentComplete, stepsByStatus, stepsByPriority, readySteps, blockedSteps, lastActivityAt, secondsSinceLastActivity, averageCycleTimeSeconds and more)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("get_plan_summary", {
+    description: "Get a summary of a change plan's progress without its steps: percent complete, step counts by status and priority, ready and blocked steps, time since the last change and the average cycle time of done steps (from creation to completion, in seconds).",
+    inputSchema: {
+      id: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to summarize")
+    },
+    outputSchema: PlanSummarySchema.shape
+  }, async ({ id }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(id);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${id} not found`
+        ));
+      }
+
+      return createToolResult(summarizePlan(changePlan));
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} get_next_step Get the next incomplete step from a change plan
+   * @apiName GetNextStep
+   * @apiGroup ChangePlan
+   * @apiDescription Get the next incomplete step from a change plan, respecting step dependencies. Among the ready steps, the plan's strategy picks one (by priority unless set otherwise), and the result explains why. Steps claimed by other agents are skipped until their lease expires. Only steps without unfinished sub-steps are picked, and a picked step with a sub-plan is replaced by the next step of the sub-plan, so the result is always a leaf of the step tree.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} [agentId] ID of the agent asking, so steps it claimed are not skipped
+   * @apiParam {String} [strategy] Strategy to use for this call instead of the plan's: 'priority', 'critical_path', 'due_date' or 'weighted'
+   * @apiParam {Object} [weights] Weights of the 'weighted' strategy for this call: priority, downstream, dueDate and age
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the next step (step, null if none is ready), the strategy used, the reason the step was picked and the sub-plan it is in (planId, if not the requested plan), or a message when there is no next step
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("get_next_step", {
+    description: "Get the next incomplete step from a change plan, respecting step dependencies, including those on steps of other plans. Among the ready steps, a strategy picks one: 'priority' (default), 'critical_path' (the step the most unfinished steps depend on), 'due_date' (earliest due date) or 'weighted' (custom weights). The plan's strategy is used unless one is given. Ties go to the step first in plan order. Steps claimed by other agents are skipped until their lease expires. Parent steps are worked on through their sub-steps, and steps with a sub-plan through its steps, in which case planId names the sub-plan.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      agentId: z.string().min(1).optional().describe("The ID of the agent asking. Steps this agent claimed are not skipped."),
+      strategy: NextStepStrategySchema.optional().describe("Strategy to use for this call instead of the plan's"),
+      weights: StrategyWeightsSchema.optional().describe("Weights of the 'weighted' strategy for this call. Factors without a weight don't count.")
+    },
+    outputSchema: {
+      step: StepSchema.nullable().describe("The step to work on next, or null if no step is ready"),
+      strategy: NextStepStrategySchema.optional().describe("The strategy that picked the step"),
+      reason: z.string().optional().describe("Why the step was picked"),
+      planId: z.string().optional().describe("The ID of the sub-plan the step is in, when it isn't in the requested plan"),
+      message: z.string().optional(),
+      incompleteSteps: z.array(StepSchema).optional().describe("The unfinished steps, when none of them is ready")
+    }
+  }, async ({ planId, agentId, strategy, weights }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      // Find all steps that are neither done nor skipped
+      const incompleteSteps = changePlan.steps.filter(step => !isStepFinished(step));
+
+      if (incompleteSteps.length === 0) {
+        return createToolResult({ step: null, message: "All steps are completed!" });
+      }
+
+      // Pick one of the steps that are ready to be worked on and not claimed
+      // by another agent, with the strategy for this call or plan
+      const { plan, ...next } = findNextStep(changePlan, agentId, strategy, weights);
+
+      if (!next.step) {
+        return createToolResult({
+          step: null,
+          message: "There are incomplete steps, but none are ready: they have unmet dependencies, are blocked or failed, or are claimed by other agents.",
+          incompleteSteps
+        });
+      }
+
+      return createToolResult({
+        ...next,
+        ...(plan !== changePlan ? { planId: plan.id } : {})
+      });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} set_next_step_strategy Set how a change plan picks its next step
+   * @apiName SetNextStepStrategy
+   * @apiGroup ChangePlan
+   * @apiDescription Set the strategy get_next_step uses for a change plan when a call doesn't name one
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} strategy 'priority', 'critical_path', 'due_date' or 'weighted'
+   * @apiParam {Object} [weights] Weights of the 'weighted' strategy: priority, downstream, dueDate and age
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the updated change plan
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("set_next_step_strategy", {
+    description: "Set the strategy get_next_step uses for a change plan when a call doesn't name one: 'priority', 'critical_path', 'due_date' or 'weighted' with weights.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      strategy: NextStepStrategySchema.describe("How to pick the next step: 'priority', 'critical_path', 'due_date' or 'weighted'"),
+      weights: StrategyWeightsSchema.optional().describe("Weights of the 'weighted' strategy. Factors without a weight don't count."),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: PlanSchema.shape
+  }, async ({ planId, strategy, weights, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      if (weights && strategy !== 'weighted') {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Weights only apply to the 'weighted' strategy, not '${strategy}'`
+        ));
+      }
+
+      changePlan.nextStepStrategy = strategy;
+
+      if (weights) {
+        changePlan.strategyWeights = weights;
+      } else {
+        delete changePlan.strategyWeights;
+      }
+
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("set_next_step_strategy");
+
+      return createToolResult(changePlan);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} get_ready_steps Get all steps that are ready to be worked on
+   * @apiName GetReadySteps
+   * @apiGroup ChangePlan
+   * @apiDescription Get every unblocked step of a change plan: pending or in progress, with all dependencies finished, sorted by priority. A step with unfinished sub-steps is left out in favour of them. Steps claimed by other agents are left out unless includeClaimed is set.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} [agentId] ID of the agent asking, so steps it claimed are included
+   * @apiParam {Boolean} [includeClaimed=false] Also include steps claimed by other agents
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the ready steps (steps) and the number of ready steps claimed by other agents (claimedByOthers)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("get_ready_steps", {
+    description: "Get every step of a change plan that is ready to be worked on (pending or in progress, with all dependencies finished, including those of its parent steps), sorted by priority. A step with unfinished sub-steps is left out in favour of them. Steps claimed by other agents are left out unless includeClaimed is set.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      agentId: z.string().min(1).optional().describe("The ID of the agent asking. Steps this agent claimed are included."),
+      includeClaimed: z.boolean().optional().default(false).describe("Also include steps claimed by other agents")
+    },
+    outputSchema: {
+      steps: z.array(StepSchema),
+      claimedByOthers: z.number().int().describe("The number of ready steps claimed by other agents")
+    }
+  }, async ({ planId, agentId, includeClaimed = false }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      const readySteps = [...getReadySteps(changePlan)].sort(comparePriority);
+      const claimedByOthers = readySteps.filter(step => isClaimedByOther(step, agentId)).length;
+
+      return createToolResult({
+        steps: includeClaimed ? readySteps : readySteps.filter(step => !isClaimedByOther(step, agentId)),
+        claimedByOthers
+      });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} claim_step Claim a step for an agent
+   * @apiName ClaimStep
+   * @apiGroup ChangePlan
+   * @apiDescription Claim a ready step for an agent, for a lease of a number of seconds. A pending step becomes in progress. Until the lease expires, other agents can't claim the step and get_next_step skips it for them. Claiming a step again renews the agent's lease.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} stepId ID of the step to claim
+   * @apiParam {String} agentId ID of the agent claiming the step
+   * @apiParam {Number} [leaseSeconds=300] How long the claim holds without being renewed
+   * @apiParam {Number} [expectedRevision] Only claim the step if the plan is at this revision
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the claimed step
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code, CONFLICT if another agent holds the step
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("claim_step", {
+    description: "Claim a ready step for an agent, with a lease. A pending step becomes in progress. Until the lease expires, other agents can't claim the step and get_next_step skips it for them. Renew the lease with renew_step_claim, and release the step with release_step if you stop working on it.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to claim"),
+      agentId: z.string().min(1, "Agent ID is required").describe("The ID of the agent claiming the step"),
+      leaseSeconds: z.number().int().positive().max(MAX_LEASE_SECONDS).optional().default(DEFAULT_LEASE_SECONDS).describe("How long the claim holds without being renewed, in seconds"),
+      expectedRevision: z.number().int().optional().describe("Only claim the step if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: StepResultSchema.shape
+  }, async ({ planId, stepId, agentId, leaseSeconds = DEFAULT_LEASE_SECONDS, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      checkClaim(step, agentId);
+
+      if (!getReadySteps(changePlan).includes(step)) {
+        const holdUps = [
+          ...(getUnmetDependencies(changePlan, step).length > 0 ? ['unfinished dependencies'] : []),
+          ...(getChildSteps(changePlan, step.id).some(child => !isStepFinished(child)) ? ['unfinished sub-steps to claim instead'] : [])
+        ];
+
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Step ${stepId} is not ready to be worked on: it is ${step.status}${holdUps.length > 0 ? ` with ${holdUps.join(' and ')}` : ''}`
+        ));
+      }
+
+      if (step.status === StepStatus.PENDING) {
+        transitionStep(changePlan, step, StepStatus.IN_PROGRESS);
+      }
+
+      setStepClaim(step, agentId, leaseSeconds);
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("claim_step");
+
+      return createToolResult({ step });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} renew_step_claim Renew an agent's claim on a step
+   * @apiName RenewStepClaim
+   * @apiGroup ChangePlan
+   * @apiDescription Extend the lease of an agent's claim on a step, as a heartbeat while the agent works on it. Renewals don't change the plan's revision and aren't recorded in its history.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} stepId ID of the claimed step
+   * @apiParam {String} agentId ID of the agent holding the claim
+   * @apiParam {Number} [leaseSeconds=300] How long the claim holds from now
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the step with its renewed claim
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code, CONFLICT if another agent holds the step
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("renew_step_claim", {
+    description: "Renew an agent's claim on a step, as a heartbeat while it works on the step. The lease is extended to leaseSeconds from now. A claim that already expired can be renewed as long as no other agent claimed the step.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the claimed step"),
+      agentId: z.string().min(1, "Agent ID is required").describe("The ID of the agent holding the claim"),
+      leaseSeconds: z.number().int().positive().max(MAX_LEASE_SECONDS).optional().default(DEFAULT_LEASE_SECONDS).describe("How long the claim holds from now, in seconds")
+    },
+    outputSchema: StepResultSchema.shape
+  }, async ({ planId, stepId, agentId, leaseSeconds = DEFAULT_LEASE_SECONDS }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      checkClaim(step, agentId);
+
+      if (!step.claim || step.claim.agentId !== agentId) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Step ${stepId} is not claimed by agent ${agentId}. Claim it with claim_step first.`
+        ));
+      }
+
+      setStepClaim(step, agentId, leaseSeconds);
+
+      // Save plans to file. Renewals only move the lease, so they don't
+      // change the plan's revision and are left out of its history.
+      savePlans("renew_step_claim", {}, { recordHistory: false });
+
+      return createToolResult({ step });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} release_step Release an agent's claim on a step
+   * @apiName ReleaseStep
+   * @apiGroup ChangePlan
+   * @apiDescription Release an agent's claim on a step so other agents can pick it up. A step still in progress goes back to pending. Completing, skipping, blocking or failing a step releases it too.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} stepId ID of the claimed step
+   * @apiParam {String} agentId ID of the agent holding the claim
+   * @apiParam {Number} [expectedRevision] Only release the step if the plan is at this revision
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the released step, with a message if it wasn't claimed
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code, CONFLICT if another agent holds the step
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("release_step", {
+    description: "Release an agent's claim on a step so other agents can pick it up. A step still in progress goes back to pending. Completing, skipping, blocking or failing a step releases it automatically.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the claimed step"),
+      agentId: z.string().min(1, "Agent ID is required").describe("The ID of the agent holding the claim"),
+      expectedRevision: z.number().int().optional().describe("Only release the step if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: StepResultSchema.shape
+  }, async ({ planId, stepId, agentId, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      checkClaim(step, agentId);
+
+      if (!step.claim || step.claim.agentId !== agentId) {
+        return createToolResult({
+          message: `Step is not claimed by agent ${agentId}`,
+          step
+        });
+      }
+
+      if (step.status === StepStatus.IN_PROGRESS) {
+        transitionStep(changePlan, step, StepStatus.PENDING);
+      }
+
+      delete step.claim;
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("release_step");
+
+      return createToolResult({ step });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} analyze_change_plan Analyze the schedule of a change plan
+   * @apiName AnalyzeChangePlan
+   * @apiGroup ChangePlan
+   * @apiDescription Analyze a change plan's dependency graph: the topological order of its steps, the unfinished steps that can run in parallel at each level, the critical path, the steps blocking the most downstream work and the remaining effort, using the steps' estimates
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {Number} [agents] Number of agents to project the remaining duration for
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the analysis (topologicalOrder, parallelLevels, maxParallelism, criticalPath, blockers, effort, projectedDuration)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("analyze_change_plan", {
+    description: "Analyze a change plan's dependency graph: topological order, steps that can run in parallel at each level, the critical path, the steps blocking the most downstream work, and remaining effort and duration based on step estimates.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      agents: z.number().int().positive().optional().describe("Number of agents working in parallel, to project how long the remaining steps would take them")
+    },
+    outputSchema: {
+      planId: z.string(),
+      topologicalOrder: z.array(z.string()).describe("All step IDs in an order that respects their dependencies"),
+      parallelLevels: z.array(z.object({
+        level: z.number(),
+        stepIds: z.array(z.string()),
+        effort: z.number()
+      })).describe("Unfinished steps grouped by the earliest level at which they can run, in parallel with the other steps of the level"),
+      maxParallelism: z.number().describe("The largest number of unfinished steps that can run in parallel"),
+      criticalPath: z.object({
+        stepIds: z.array(z.string()),
+        effort: z.number()
+      }).describe("The chain of unfinished steps with the most effort, which bounds the remaining duration"),
+      blockers: z.array(z.object({
+        stepId: z.string(),
+        title: z.string(),
+        status: z.string(),
+        downstreamSteps: z.number(),
+        downstreamEffort: z.number()
+      })).describe("The unfinished steps that the most other unfinished steps depend on, directly or indirectly"),
+      effort: z.object({
+        total: z.number(),
+        completed: z.number(),
+        remaining: z.number(),
+        defaultEstimate: z.number().describe("The estimate used for steps without one"),
+        unestimatedStepIds: z.array(z.string())
+      }),
+      projectedDuration: z.object({
+        singleAgent: z.number(),
+        unlimitedAgents: z.number(),
+        agents: z.number().optional(),
+        withAgents: z.number().optional()
+      })
+    }
+  }, async ({ planId, agents }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      return createToolResult(analyzeChangePlan(changePlan, agents));
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} mark_step_complete Mark a step as complete
+   * @apiName MarkStepComplete
+   * @apiGroup ChangePlan
+   * @apiDescription Mark a specific step in a change plan as complete
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} stepId ID of the step to mark as complete
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the updated step (step), with a message if nothing changed
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("mark_step_complete", {
+    description: "Mark a specific step in a change plan as complete.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to mark as complete"),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: StepResultSchema.shape
+  }, async ({ planId, stepId, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      if (step.status === StepStatus.DONE) {
+        return createToolResult({
+          message: "Step is already marked as complete",
+          step
+        });
+      }
+
+      transitionStep(changePlan, step, StepStatus.DONE);
+
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("mark_step_complete");
+
+      return createToolResult({ step });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} set_step_status Change the lifecycle status of a step
+   * @apiName SetStepStatus
+   * @apiGroup ChangePlan
+   * @apiDescription Move a step to a new lifecycle status. Allowed transitions:
+   * pending -> in_progress, blocked, skipped, done;
+   * in_progress -> pending, blocked, failed, skipped, done;
+   * blocked -> pending, in_progress, skipped;
+   * failed -> pending, in_progress, skipped;
+   * skipped -> pending;
+   * done -> pending.
+   * Each transition is recorded with a timestamp in the step's statusHistory.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} stepId ID of the step to update
+   * @apiParam {String} status New status: 'pending', 'in_progress', 'blocked', 'skipped', 'failed' or 'done'
+   * @apiParam {String} [reason] Reason for the status change (required for 'blocked' and 'failed')
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the updated step (step), with a message if nothing changed
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("set_step_status", {
+    description: "Change the lifecycle status of a step: claim it (in_progress), mark it blocked or failed with a reason, skip it, complete it (done) or reopen it (pending).",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to update"),
+      status: z.enum(STEP_STATUSES).describe("New status: 'pending', 'in_progress', 'blocked', 'skipped', 'failed' or 'done'"),
+      reason: z.string().optional().describe("Reason for the status change (required for 'blocked' and 'failed')"),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: StepResultSchema.shape
+  }, async ({ planId, stepId, status, reason, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      if (step.status === status) {
+        return createToolResult({
+          message: `Step is already ${status}`,
+          step
+        });
+      }
+
+      transitionStep(changePlan, step, status, reason);
+
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("set_step_status");
+
+      return createToolResult({ step });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} add_step Add a new step to a change plan
+   * @apiName AddStep
+   * @apiGroup ChangePlan
+   * @apiDescription Add a new step to an existing change plan
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} title Title of the step
+   * @apiParam {String} description Description of what needs to be done
+   * @apiParam {String} [context] Additional context for the step
+   * @apiParam {String[]} [dependsOn] Array of step IDs that must be completed before this step, or planId:stepId for steps of other plans
+   * @apiParam {String} [parentId] ID of the step the new step is a sub-step of. A parent that is done is reopened.
+   * @apiParam {String} [subPlanId] ID of a plan whose steps make up the new step
+   * @apiParam {String} [priority] Priority level of the step: 'high', 'medium', or 'low' (default: 'medium')
+   * @apiParam {Number} [estimate] Estimated effort for the step, in any unit used consistently within the plan
+   * @apiParam {String} [dueDate] Date the step is due, as an ISO 8601 date
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the added step
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("add_step", {
+    description: "Add a new step to an existing change plan, optionally as a sub-step of another step or linked to a sub-plan.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      title: z.string().min(1, "Title is required").describe("Title of the step"),
+      description: z.string().min(1, "Description is required").describe("Description of what needs to be done"),
+      context: z.string().optional().describe("Additional context for the step"),
+      dependsOn: z.array(z.string()).optional().describe("Array of step IDs that must be completed before this step, or planId:stepId for steps of other plans"),
+      parentId: z.string().min(1).optional().describe("ID of the step the new step is a sub-step of"),
+      subPlanId: z.string().min(1).optional().describe("ID of a plan whose steps make up the new step"),
+      priority: PrioritySchema.optional().default('medium').describe("Priority level of the step: 'high', 'medium', or 'low'"),
+      estimate: EstimateSchema.optional().describe("Estimated effort for the step, in any unit used consistently within the plan (e.g. hours)"),
+      dueDate: DueDateSchema.optional().describe("Date the step is due, as an ISO 8601 date"),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: StepSchema.shape
+  }, async ({ planId, title, description, context, dependsOn = [], parentId, subPlanId, priority = 'medium', estimate, dueDate, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const newStep = {
+        id: peekStepId(changePlan),
+        title,
+        description,
+        context: context || "",
+        dependsOn: dependsOn || [],
+        ...(parentId ? { parentId } : {}),
+        ...(subPlanId ? { subPlanId } : {}),
+        priority,
+        ...(estimate !== undefined ? { estimate } : {}),
+        ...(dueDate ? { dueDate } : {}),
+        ...createStepState()
+      };
+
+      if (subPlanId) {
+        validateSubPlanLink(planId, subPlanId);
+      }
+
+      // Validate the dependency graph including the new step
+      validateStepGraph([...changePlan.steps, newStep], planId);
+
+      // Only use up the ID once the step is known to be valid
+      newStep.id = allocateStepId(changePlan);
+      changePlan.steps.push(newStep);
+
+      // A parent or sub-plan that was done has unfinished work again
+      rollUpStepStatus(changePlan, newStep);
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("add_step");
+
+      return createToolResult(newStep);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} update_step Update an existing step
+   * @apiName UpdateStep
+   * @apiGroup ChangePlan
+   * @apiDescription Update details of an existing step in a change plan
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} stepId ID of the step to update
+   * @apiParam {String} [title] New title of the step
+   * @apiParam {String} [description] New description of what needs to be done
+   * @apiParam {String} [context] New additional context for the step
+   * @apiParam {String[]} [dependsOn] New array of step IDs that must be completed before this step, or planId:stepId for steps of other plans
+   * @apiParam {String} [parentId] ID of the step to make this step a sub-step of, or null to make it a top-level step
+   * @apiParam {String} [subPlanId] ID of a plan whose steps make up this step, or null to remove the sub-plan
+   * @apiParam {String} [priority] New priority level of the step: 'high', 'medium', or 'low'
+   * @apiParam {Number} [estimate] New estimated effort for the step, or null to remove the estimate
+   * @apiParam {String} [dueDate] New due date for the step, or null to remove the due date
+   * @apiParam {String} [status] New lifecycle status: 'pending', 'in_progress', 'blocked', 'skipped', 'failed' or 'done'
+   * @apiParam {String} [reason] Reason for the status change (required for 'blocked' and 'failed')
+   * @apiParam {Boolean} [completed] Deprecated: use status. true is the same as 'done', false as 'pending'
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the updated step (step), with a message if nothing changed
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("update_step", {
+    description: "Update details of an existing step in a change plan.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to update"),
+      title: z.string().optional().describe("New title of the step"),
+      description: z.string().optional().describe("New description of what needs to be done"),
+      context: z.string().optional().describe("New additional context for the step"),
+      dependsOn: z.array(z.string()).optional().describe("New array of step IDs that must be completed before this step, or planId:stepId for steps of other plans"),
+      parentId: z.string().min(1).nullable().optional().describe("ID of the step to make this step a sub-step of, or null to make it a top-level step"),
+      subPlanId: z.string().min(1).nullable().optional().describe("ID of a plan whose steps make up this step, or null to remove the sub-plan"),
+      priority: PrioritySchema.optional().describe("New priority level of the step: 'high', 'medium', or 'low'"),
+      estimate: EstimateSchema.nullable().optional().describe("New estimated effort for the step, or null to remove the estimate"),
+      dueDate: DueDateSchema.nullable().optional().describe("New due date for the step, as an ISO 8601 date, or null to remove the due date"),
+      status: z.enum(STEP_STATUSES).optional().describe("New lifecycle status: 'pending', 'in_progress', 'blocked', 'skipped', 'failed' or 'done'"),
+      reason: z.string().optional().describe("Reason for the status change (required for 'blocked' and 'failed')"),
+      completed: z.boolean().optional().describe("Deprecated: use status. true is the same as 'done', false as 'pending'"),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: StepResultSchema.shape
+  }, async ({ planId, stepId, title, description, context, dependsOn, parentId, subPlanId, priority, estimate, dueDate, status, reason, completed, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      // The legacy completed flag maps onto the done and pending states
+      if (status === undefined && completed !== undefined) {
+        status = completed ? StepStatus.DONE : StepStatus.PENDING;
+      }
+
+      // Validate the whole update against the step as it will be, before
+      // changing anything, so a rejected update leaves the plan as it was
+      const updatedStep = {
+        ...step,
+        dependsOn: dependsOn ?? step.dependsOn,
+        parentId: parentId === undefined ? step.parentId : parentId,
+        subPlanId: subPlanId === undefined ? step.subPlanId : subPlanId
+      };
+
+      if (subPlanId) {
+        validateSubPlanLink(planId, subPlanId);
+      }
+
+      if (dependsOn !== undefined || parentId !== undefined || subPlanId !== undefined) {
+        validateStepGraph(changePlan.steps.map(s => s.id === stepId ? updatedStep : s), planId);
+      }
+
+      if (status !== undefined && status !== step.status) {
+        checkTransition(changePlan, updatedStep, status, reason);
+      }
+
+      let hasChanges = false;
+
+      if (title !== undefined && title !== step.title) {
+        step.title = title;
+        hasChanges = true;
+      }
+
+      if (description !== undefined && description !== step.description) {
+        step.description = description;
+        hasChanges = true;
+      }
+
+      if (context !== undefined && context !== step.context) {
+        step.context = context;
+        hasChanges = true;
+      }
+
+      if (dependsOn !== undefined) {
+        // Check if dependencies changed
+        const depsChanged = dependsOn.length !== step.dependsOn.length || 
+          dependsOn.some(id => !step.dependsOn.includes(id)) ||
+          step.dependsOn.some(id => !dependsOn.includes(id));
+
+        if (depsChanged) {
+          step.dependsOn = dependsOn;
+          hasChanges = true;
+        }
+      }
+
+      // The old and new parent of the step, whose status may change with it
+      const affectedParents = [];
+
+      if (parentId !== undefined && parentId !== (step.parentId ?? null)) {
+        affectedParents.push(getParentStep(changePlan, step));
+        if (parentId === null) {
+          delete step.parentId;
+        } else {
+          step.parentId = parentId;
+        }
+        affectedParents.push(getParentStep(changePlan, step));
+        hasChanges = true;
+      }
+
+      if (subPlanId !== undefined && subPlanId !== (step.subPlanId ?? null)) {
+        if (subPlanId === null) {
+          delete step.subPlanId;
+        } else {
+          step.subPlanId = subPlanId;
+        }
+        hasChanges = true;
+      }
+
+      if (priority !== undefined && priority !== step.priority) {
+        step.priority = priority;
+        hasChanges = true;
+      }
+
+      if (estimate !== undefined && estimate !== (step.estimate ?? null)) {
+        if (estimate === null) {
+          delete step.estimate;
+        } else {
+          step.estimate = estimate;
+        }
+        hasChanges = true;
+      }
+
+      if (dueDate !== undefined && dueDate !== (step.dueDate ?? null)) {
+        if (dueDate === null) {
+          delete step.dueDate;
+        } else {
+          step.dueDate = dueDate;
+        }
+        hasChanges = true;
+      }
+
+      if (status !== undefined && status !== step.status) {
+        transitionStep(changePlan, step, status, reason);
+        hasChanges = true;
+      }
+
+      if (!hasChanges) {
+        return createToolResult({
+          message: "No changes were made to the step",
+          step
+        });
+      }
+
+      for (const parent of affectedParents.filter(Boolean)) {
+        syncParentStatus(changePlan, parent);
+      }
+
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("update_step");
+
+      return createToolResult({ step });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} delete_step Delete a step from a change plan
+   * @apiName DeleteStep
+   * @apiGroup ChangePlan
+   * @apiDescription Delete a step from a change plan. If other steps depend on it or it has sub-steps
+   * the deletion is refused, unless cascade is set, in which case every step that depends on it
+   * (directly or indirectly) and all of its sub-steps are deleted as well. Step IDs are never reused
+   * after deletion.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String} stepId ID of the step to delete
+   * @apiParam {Boolean} [cascade=false] Whether to also delete the steps that depend on this step and its sub-steps (default: false)
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the IDs of the deleted steps
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("delete_step", {
+    description: "Delete a step from a change plan. Refuses if other steps depend on it or it has sub-steps, unless cascade is set to also delete the dependent steps and sub-steps.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to delete"),
+      cascade: z.boolean().optional().default(false).describe("Whether to also delete the steps that depend on this step and its sub-steps (default: false)"),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: {
+      message: z.string(),
+      deletedStepIds: z.array(z.string())
+    }
+  }, async ({ planId, stepId, cascade = false, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      const dependentIds = getDependentStepIds(changePlan, stepId);
+
+      if (dependentIds.length > 0 && !cascade) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Cannot delete step ${stepId} because other steps depend on it: ${dependentIds.join(', ')}. Set cascade=true to delete them as well.`,
+          { dependents: dependentIds }
+        ));
+      }
+
+      const subStepIds = getDescendantStepIds(changePlan, stepId);
+
+      if (subStepIds.length > 0 && !cascade) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Cannot delete step ${stepId} because it has sub-steps: ${subStepIds.join(', ')}. Set cascade=true to delete them as well.`,
+          { subSteps: subStepIds }
+        ));
+      }
+
+      // Collect the sub-steps and dependent steps of everything deleted
+      const deletedIds = [stepId];
+      for (let i = 0; i < deletedIds.length; i++) {
+        for (const id of [...getDescendantStepIds(changePlan, deletedIds[i]), ...getDependentStepIds(changePlan, deletedIds[i])]) {
+          if (!deletedIds.includes(id)) {
+            deletedIds.push(id);
+          }
+        }
+      }
+
+      // Cascading stays within the plan, so steps of other plans have to stop
+      // depending on the deleted steps first
+      const crossPlanDependents = getCrossPlanDependents(planId, deletedIds);
+
+      if (crossPlanDependents.length > 0) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Cannot delete step ${stepId} because steps of other plans depend on ${deletedIds.length > 1 ? 'the steps it would delete' : 'it'}: ${crossPlanDependents.join(', ')}`,
+          { dependents: crossPlanDependents }
+        ));
+      }
+
+      changePlan.steps = changePlan.steps.filter(s => !deletedIds.includes(s.id));
+
+      // The parent may be complete now that an unfinished sub-step is gone
+      rollUpStepStatus(changePlan, step);
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("delete_step");
+
+      return createToolResult({
+        message: "Step deleted successfully",
+        deletedStepIds: deletedIds
+      });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} reorder_steps Reorder the steps of a change plan
+   * @apiName ReorderSteps
+   * @apiGroup ChangePlan
+   * @apiDescription Change the order of the steps in a change plan. The order is used to list steps
+   * and to break ties between ready steps of the same priority. Dependencies are not affected.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {String[]} stepIds Every step ID of the plan, in the new order
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the updated change plan
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("reorder_steps", {
+    description: "Change the order of the steps in a change plan. Pass every step ID of the plan in the new order.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      stepIds: z.array(z.string()).min(1, "At least one step ID is required").describe("Every step ID of the plan, in the new order"),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: PlanSchema.shape
+  }, async ({ planId, stepIds, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      // The new order must contain every existing step exactly once
+      const currentIds = changePlan.steps.map(s => s.id);
+      const missingIds = currentIds.filter(id => !stepIds.includes(id));
+      const unknownIds = stepIds.filter(id => !currentIds.includes(id));
+      const hasDuplicates = new Set(stepIds).size !== stepIds.length;
+
+      if (missingIds.length > 0 || unknownIds.length > 0 || hasDuplicates) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          "stepIds must list every step of the plan exactly once",
+          { missing: missingIds, unknown: unknownIds, duplicates: hasDuplicates }
+        ));
+      }
+
+      changePlan.steps = stepIds.map(id => changePlan.steps.find(s => s.id === id));
+      touchPlan(changePlan);
+
+      // Save plans to file
+      savePlans("reorder_steps");
+
+      return createToolResult(changePlan);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} move_step Move a step to another change plan
+   * @apiName MoveStep
+   * @apiGroup ChangePlan
+   * @apiDescription Move a step from one change plan to another. The step keeps its status and
+   * history but gets a new ID in the target plan. Its dependencies are replaced by the given
+   * dependsOn, which refer to steps in the target plan. Steps that other steps depend on and steps
+   * with sub-steps can't be moved. A moved sub-step becomes a top-level step of the target plan.
+   * 
+   * @apiParam {String} planId ID of the change plan the step is in
+   * @apiParam {String} stepId ID of the step to move
+   * @apiParam {String} targetPlanId ID of the change plan to move the step to
+   * @apiParam {String[]} [dependsOn] Array of step IDs in the target plan that must be completed before this step, or planId:stepId for steps of other plans
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the moved step
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("move_step", {
+    description: "Move a step to another change plan. The step gets a new ID in the target plan, and its dependencies are replaced by dependsOn (step IDs in the target plan).",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan the step is in"),
+      stepId: z.string().min(1, "Step ID is required").describe("The ID of the step to move"),
+      targetPlanId: z.string().min(1, "Target plan ID is required").describe("The ID of the change plan to move the step to"),
+      dependsOn: z.array(z.string()).optional().describe("Array of step IDs in the target plan that must be completed before this step, or planId:stepId for steps of other plans"),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: {
+      message: z.string(),
+      previousId: z.string().describe("The ID the step had in its previous plan"),
+      step: StepSchema
+    }
+  }, async ({ planId, stepId, targetPlanId, dependsOn = [], expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      checkRevision(changePlan, expectedRevision);
+
+      const targetPlan = changePlans.get(targetPlanId);
+
+      if (!targetPlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${targetPlanId} not found`
+        ));
+      }
+
+      if (targetPlanId === planId) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          "The target plan must be different from the source plan. Use reorder_steps to move a step within a plan."
+        ));
+      }
+
+      const step = changePlan.steps.find(s => s.id === stepId);
+
+      if (!step) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Step with ID ${stepId} not found in plan ${planId}`
+        ));
+      }
+
+      const dependentIds = getDependentStepIds(changePlan, stepId);
+
+      if (dependentIds.length > 0) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Cannot move step ${stepId} because other steps depend on it: ${dependentIds.join(', ')}`,
+          { dependents: dependentIds }
+        ));
+      }
+
+      // The step gets a new ID, which other plans' dependencies wouldn't follow
+      const crossPlanDependents = getCrossPlanDependents(planId, [stepId]);
+
+      if (crossPlanDependents.length > 0) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Cannot move step ${stepId} because steps of other plans depend on it: ${crossPlanDependents.join(', ')}`,
+          { dependents: crossPlanDependents }
+        ));
+      }
+
+      const subStepIds = getDescendantStepIds(changePlan, stepId);
+
+      if (subStepIds.length > 0) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Cannot move step ${stepId} because it has sub-steps: ${subStepIds.join(', ')}`,
+          { subSteps: subStepIds }
+        ));
+      }
+
+      const { parentId, ...stepFields } = step;
+      const movedStep = {
+        ...stepFields,
+        id: peekStepId(targetPlan),
+        dependsOn
+      };
+
+      // Validate the dependency graph of the target plan including the moved step
+      validateStepGraph([...targetPlan.steps, movedStep], targetPlanId);
+
+      if (movedStep.subPlanId) {
+        validateSubPlanLink(targetPlanId, movedStep.subPlanId);
+      }
+
+      // Only use up the ID once the move is known to be valid
+      movedStep.id = allocateStepId(targetPlan);
+      changePlan.steps = changePlan.steps.filter(s => s.id !== stepId);
+      targetPlan.steps.push(movedStep);
+
+      // The step's old parent may be complete without it, and steps the
+      // target plan is a sub-plan of have unfinished work again
+      rollUpStepStatus(changePlan, step);
+      rollUpStepStatus(targetPlan, movedStep);
+      touchPlan(changePlan);
+      touchPlan(targetPlan);
+
+      // Save plans to file
+      savePlans("move_step");
+
+      return createToolResult({
+        message: `Step moved to plan ${targetPlanId}`,
+        previousId: stepId,
+        step: movedStep
+      });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} delete_change_plan Delete a change plan
+   * @apiName DeleteChangePlan
+   * @apiGroup ChangePlan
+   * @apiDescription Delete a change plan by ID. If steps of other plans depend on its steps or have it
+   * as their sub-plan, the deletion is refused unless force is set, in which case the result lists
+   * those steps: their dependencies on the plan stay unmet until they are removed.
+   * 
+   * @apiParam {String} id ID of the change plan to delete
+   * @apiParam {Boolean} [force=false] Delete the plan even if steps of other plans depend on it
+   * @apiParam {Number} [expectedRevision] Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing success message, and the steps of other plans left with dangling dependencies (danglingDependents) or without their sub-plan (orphanedSubPlanSteps)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("delete_change_plan", {
+    description: "Delete a change plan by ID. Refuses if steps of other plans depend on its steps or have it as their sub-plan, unless force is set; the result then lists those steps.",
+    inputSchema: {
+      id: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to delete"),
+      force: z.boolean().optional().default(false).describe("Delete the plan even if steps of other plans depend on it (default: false). Their dependencies on it stay unmet until removed."),
+      expectedRevision: z.number().int().optional().describe("Only apply the change if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: {
+      message: z.string(),
+      danglingDependents: z.array(z.string()).optional().describe("Steps of other plans, as planId:stepId, that depended on the deleted plan's steps"),
+      orphanedSubPlanSteps: z.array(z.string()).optional().describe("Steps of other plans, as planId:stepId, that had the deleted plan as their sub-plan")
+    }
+  }, async ({ id, force = false, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      const exists = changePlans.has(id);
+
+      if (!exists) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${id} not found`
+        ));
+      }
+
+      checkRevision(changePlans.get(id), expectedRevision);
+
+      const { dependents, subPlanSteps, reason } = getPlanDependents(id);
+
+      if (reason && !force) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Cannot delete change plan ${id} because ${reason}. Remove those dependencies first, or set force=true to delete it anyway.`,
+          { dependents, subPlanSteps }
+        ));
+      }
+
+      changePlans.delete(id);
+
+      // Save plans to file
+      savePlans("delete_change_plan");
+
+      if (dependents.length > 0 || subPlanSteps.length > 0) {
+        return createToolResult({
+          message: "Change plan deleted. Steps of other plans still refer to it: dependencies on its steps stay unmet until they are removed with update_step.",
+          ...(dependents.length > 0 ? { danglingDependents: dependents } : {}),
+          ...(subPlanSteps.length > 0 ? { orphanedSubPlanSteps: subPlanSteps } : {})
+        });
+      }
+
+      return createToolResult({ message: "Change plan deleted successfully" });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} search_change_plans Search for change plans
+   * @apiName SearchChangePlans
+   * @apiGroup ChangePlan
+   * @apiDescription Search for change plans by name and filter by completion status
+   * 
+   * @apiParam {String} [searchTerm] Optional search term to filter plans by name (case-insensitive partial match)
+   * @apiParam {String} [status] Optional status filter: 'completed', 'in-progress', or 'all' (default: 'all')
+   * @apiParam {String} [stepStatus] Optional step status filter: only plans with at least one step in this status ('pending', 'in_progress', 'blocked', 'skipped', 'failed' or 'done')
+   * @apiParam {Boolean} [summary=false] Return a summary of each matching plan's progress instead of the whole plan
+   * @apiParam {String[]} [fields] Only return these fields of each plan (its own fields and those of its summary); the ID is always returned
+   * @apiParam {String} [sortBy=createdAt] 'createdAt', 'updatedAt', 'name' or 'percentComplete'
+   * @apiParam {String} [order=asc] 'asc' or 'desc'
+   * @apiParam {Number} [limit=50] Maximum number of plans to return, up to 500
+   * @apiParam {String} [cursor] The nextCursor of the previous page
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the number of matching plans (total), the matching plans of the page (plans), the cursor of the next page (nextCursor, null on the last page) and the filters applied
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("search_change_plans", {
+    description: "Search for change plans by name and filter by completion status or by the status of their steps. Results are paged, sorted and trimmed like those of get_change_plans.",
+    inputSchema: {
+      searchTerm: z.string().optional().describe("Optional search term to filter plans by name (case-insensitive partial match)"),
+      status: z.enum(['completed', 'in-progress', 'all']).optional().default('all').describe("Optional status filter: 'completed', 'in-progress', or 'all'"),
+      stepStatus: z.enum(STEP_STATUSES).optional().describe("Optional step status filter: only plans with at least one step in this status"),
+      ...PlanListingOptionsSchema.shape
+    },
+    outputSchema: {
+      total: z.number().int().describe("The number of matching plans on all pages"),
+      plans: z.array(ListedPlanSchema),
+      nextCursor: z.string().nullable().describe("The cursor of the next page, null on the last page"),
+      filters: z.object({
+        searchTerm: z.string(),
+        status: z.string(),
+        stepStatus: z.string().nullable()
+      })
+    }
+  }, async ({ searchTerm, status, stepStatus, ...options }) => {
+    try {
+      syncPlans();
+
+      let allPlans = Array.from(changePlans.values());
+      let filteredPlans = allPlans;
+
+      // Filter by name if a search term is provided
+      if (searchTerm && searchTerm.trim() !== '') {
+        const term = searchTerm.trim().toLowerCase();
+        filteredPlans = filteredPlans.filter(plan => 
+          plan.name.toLowerCase().includes(term)
+        );
+      }
+
+      // Filter by status if not 'all'
+      if (status !== 'all') {
+        filteredPlans = filteredPlans.filter(plan => {
+          // Check completion status of all steps (skipped steps count as completed)
+          const allStepsCompleted = plan.steps.every(isStepFinished);
+          const anyStepStarted = plan.steps.some(step => 
+            isStepFinished(step) || step.status === StepStatus.IN_PROGRESS
+          );
+          const noSteps = plan.steps.length === 0;
+
+          if (status === 'completed') {
+            return allStepsCompleted && !noSteps;
+          } else if (status === 'in-progress') {
+            return (anyStepStarted && !allStepsCompleted) || noSteps;
+          }
+          return true;
+        });
+      }
+
+      // Filter by step status if provided
+      if (stepStatus) {
+        filteredPlans = filteredPlans.filter(plan => 
+          plan.steps.some(step => step.status === stepStatus)
+        );
+      }
+
+      const { total, items, nextCursor } = listPlansPage(filteredPlans, options);
+
+      // Add meta information to the response
+      const result = {
+        total,
+        plans: items,
+        nextCursor,
+        filters: {
+          searchTerm: searchTerm || '',
+          status,
+          stepStatus: stepStatus || null
+        }
+      };
+
+      return createToolResult(result);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} search_steps Search the steps of all change plans
+   * @apiName SearchSteps
+   * @apiGroup ChangePlan
+   * @apiDescription Search the titles, descriptions, context and status reasons of the steps of all change plans. The query is made of words, "quoted phrases" and filters: priority:high, status:blocked and plan:ID. Every word, phrase and filter has to match.
+   * 
+   * @apiParam {String} query The search query, e.g. 'migration "feature flag" priority:high status:blocked'
+   * @apiParam {Number} [limit=20] Maximum number of steps to return, up to 100
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the number of matching steps (total) and the best matches (results), each with its plan ID, the field that matched best and a snippet of it with the matches in bold
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("search_steps", {
+    description: "Search the steps of all change plans by their title, description, context and status reason. The query is made of words, \"quoted phrases\" and filters: priority:high|medium|low, status:pending|in_progress|blocked|skipped|failed|done and plan:ID. Every word, phrase and filter has to match. Results are the best matching steps first, with their plan ID and a snippet with the matches in **bold**.",
+    inputSchema: {
+      query: z.string().min(1, "Query is required").describe("The search query, e.g. 'migration \"feature flag\" priority:high status:blocked'"),
+      limit: z.number().int().positive().max(MAX_SEARCH_LIMIT).optional().default(DEFAULT_SEARCH_LIMIT).describe(`Maximum number of steps to return (default ${DEFAULT_SEARCH_LIMIT})`)
+    },
+    outputSchema: {
+      total: z.number().int().describe("The number of matching steps, including those past the limit"),
+      results: z.array(z.object({
+        planId: z.string(),
+        planName: z.string(),
+        stepId: z.string(),
+        title: z.string(),
+        status: z.enum(STEP_STATUSES),
+        priority: PrioritySchema,
+        score: z.number().describe("How well the step matches, higher is better"),
+        matchedField: z.string().nullable().describe("The field the snippet is from, null if only filters matched"),
+        snippet: z.string().describe("The part of the field around the first match, with the matches in **bold**")
+      }))
+    }
+  }, async ({ query, limit }) => {
+    try {
+      syncPlans();
+
+      return createToolResult(searchSteps(query, limit));
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} export_change_plan Export a change plan
+   * @apiName ExportChangePlan
+   * @apiGroup ChangePlan
+   * @apiDescription Export a specific change plan to JSON format for backup or sharing, or render it as a Markdown task list, a Mermaid diagram or a plain-text checklist
+   * 
+   * @apiParam {String} id ID of the change plan to export
+   * @apiParam {String} [format=json] 'json', 'markdown', 'mermaid' or 'checklist'
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the exported change plan, or the rendered document for the other formats
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("export_change_plan", {
+    description: "Export a specific change plan to JSON format for backup or sharing, or render it for PR descriptions and design docs: 'markdown' (GitHub task list grouped by priority), 'mermaid' (dependency graph as a 'graph TD' flowchart, styled by status) or 'checklist' (plain text).",
+    inputSchema: {
+      id: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to export"),
+      format: z.enum(EXPORT_FORMATS).optional().default('json').describe("Export format: 'json' (default, can be imported again), 'markdown', 'mermaid' or 'checklist'")
+    },
+    outputSchema: {
+      exportedAt: z.string(),
+      format: z.enum(EXPORT_FORMATS),
+      changePlan: PlanSchema.optional().describe("The plan, for the 'json' format"),
+      document: z.string().optional().describe("The rendered plan, for the other formats")
+    }
+  }, async ({ id, format = 'json' }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(id);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${id} not found`
+        ));
+      }
+
+      if (format !== 'json') {
+        const document = PLAN_RENDERERS[format](changePlan);
+
+        // The text content is the document itself, ready to paste
+        return createToolResult({ exportedAt: new Date().toISOString(), format, document }, document);
+      }
+
+      const exportData = {
+        exportedAt: new Date().toISOString(),
+        format,
+        changePlan
+      };
+
+      return createToolResult(exportData);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} import_change_plan Import a change plan
+   * @apiName ImportChangePlan
+   * @apiGroup ChangePlan
+   * @apiDescription Import a change plan from JSON, YAML or a Markdown checklist, optionally overwriting an existing plan with the same ID. A dry run returns a preview of the plan without importing it.
+   * 
+   * @apiParam {String} data The change plan data to import
+   * @apiParam {String} [format=json] Format of the data: 'json', 'yaml' or 'markdown'
+   * @apiParam {String} [name] Name of the plan, replacing the one in the data
+   * @apiParam {Boolean} [dryRun=false] Only validate the plan and return a preview, without importing it
+   * @apiParam {Boolean} [overwrite=false] Whether to overwrite an existing plan with the same ID (default: false)
+   * @apiParam {Number} [expectedRevision] Only overwrite the existing plan if it is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the imported change plan, with a preview for a dry run
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("import_change_plan", {
+    description: "Import a change plan from JSON (this server's export format), YAML (the same fields; id and step descriptions are optional, `done: true` marks a step as completed) or a Markdown checklist (the first heading is the name, each '- [ ]' item a step, '[x]' means done, items nested under an item are its sub-steps). YAML steps can list their sub-steps under their own `steps`. Use dryRun to preview the plan before importing it.",
+    inputSchema: {
+      data: z.string().min(1, "Data is required").describe("The change plan data to import"),
+      format: z.enum(IMPORT_FORMATS).optional().default('json').describe("Format of the data: 'json' (default), 'yaml' or 'markdown'"),
+      name: z.string().min(1).optional().describe("Name of the plan, replacing the one in the data. Required for Markdown without a heading."),
+      dryRun: z.boolean().optional().default(false).describe("Only validate the plan and return it with a preview, without importing it"),
+      overwrite: z.boolean().optional().default(false).describe("Whether to overwrite an existing plan with the same ID (default: false)"),
+      expectedRevision: z.number().int().optional().describe("Only overwrite the existing plan if it is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: PlanSchema.extend({
+      dryRun: z.boolean().optional(),
+      preview: z.object({
+        overwrites: z.boolean().describe("Whether importing would replace an existing plan"),
+        steps: z.number().int(),
+        finishedSteps: z.number().int(),
+        warnings: z.array(z.string()),
+        checklist: z.string().describe("The plan as a plain-text checklist")
+      }).optional().describe("What importing would do, for a dry run")
+    }).shape
+  }, async ({ data, format = 'json', name, dryRun = false, overwrite = false, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      let importData;
+      try {
+        importData = parseImportData(data, format);
+      } catch (err) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Invalid ${{ json: 'JSON', yaml: 'YAML', markdown: 'Markdown' }[format]} format. The data could not be parsed.`,
+          err.message
+        ));
+      }
+
+      // Extract the change plan from the data, filling in what the simpler
+      // formats leave out, and validate its structure
+      let planData = (importData && importData.changePlan) || importData;
+
+      if (format !== 'json') {
+        planData = completeSimplePlan(planData);
+      }
+      if (name && planData && typeof planData === 'object') {
+        planData = { ...planData, name };
+      }
+
+      const parsedPlan = ImportedPlanSchema.safeParse(planData);
+
+      if (!parsedPlan.success) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          "Invalid change plan format. The data must include id, name, and steps array, and every step a title and description.",
+          parsedPlan.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+        ));
+      }
+
+      const planToImport = parsedPlan.data;
+
+      // Check if a plan with the same ID already exists
+      const existingPlan = changePlans.get(planToImport.id);
+      if (existingPlan && !overwrite) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `A change plan with ID ${planToImport.id} already exists. Set overwrite=true to replace it.`
+        ));
+      }
+
+      if (expectedRevision !== undefined) {
+        if (!existingPlan) {
+          throw new ConflictError(
+            `Expected change plan ${planToImport.id} at revision ${expectedRevision}, but it doesn't exist`
+          );
+        }
+        checkRevision(existingPlan, expectedRevision);
+      }
+
+      // Add import metadata. The revision continues after both the imported
+      // plan's and the overwritten plan's, so it never goes backwards.
+      const importedPlan = {
+        ...planToImport,
+        revision: Math.max(
+          Number.isInteger(planToImport.revision) ? planToImport.revision : 0,
+          existingPlan ? existingPlan.revision : 0
+        ) + 1,
+        importedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      // Ensure all steps have the required fields, migrating steps exported
+      // with the legacy completed flag to lifecycle states
+      importedPlan.steps = importedPlan.steps.map((step, index) => migrateStep({
+        id: step.id || index.toString(),
+        title: step.title,
+        description: step.description,
+        context: step.context || "",
+        dependsOn: step.dependsOn || [],
+        ...(step.parentId ? { parentId: step.parentId } : {}),
+        ...(step.subPlanId ? { subPlanId: step.subPlanId } : {}),
+        priority: step.priority || 'medium',
+        ...(typeof step.estimate === 'number' ? { estimate: step.estimate } : {}),
+        ...(step.dueDate ? { dueDate: step.dueDate } : {}),
+        status: step.status,
+        statusHistory: step.statusHistory,
+        statusReason: step.statusReason,
+        completed: step.completed || false,
+        createdAt: step.createdAt || new Date().toISOString(),
+        completedAt: step.completedAt
+      }));
+
+      // Sub-plans that don't exist yet may be imported later, which
+      // getImportWarnings points out
+      for (const step of importedPlan.steps.filter(s => s.subPlanId && changePlans.has(s.subPlanId))) {
+        validateSubPlanLink(importedPlan.id, step.subPlanId);
+      }
+
+      // Validate the dependency graph of the imported steps
+      validateStepGraph(importedPlan.steps, importedPlan.id);
+
+      // Continue step IDs after the imported ones, and never hand out an ID
+      // the plan being overwritten already used
+      importedPlan.nextStepId = Math.max(
+        Number.isInteger(planToImport.nextStepId) ? planToImport.nextStepId : 0,
+        existingPlan && Number.isInteger(existingPlan.nextStepId) ? existingPlan.nextStepId : 0
+      );
+      ensureStepCounter(importedPlan);
+
+      if (dryRun) {
+        return createToolResult({
+          ...importedPlan,
+          dryRun: true,
+          preview: {
+            overwrites: Boolean(existingPlan),
+            steps: importedPlan.steps.length,
+            finishedSteps: importedPlan.steps.filter(isStepFinished).length,
+            warnings: getImportWarnings(importedPlan),
+            checklist: renderPlanAsChecklist(importedPlan)
+          }
+        });
+      }
+
+      // Save the imported plan
+      changePlans.set(importedPlan.id, importedPlan);
+
+      // Save plans to file
+      savePlans("import_change_plan");
+
+      return createToolResult(importedPlan);
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} save_plan_as_template Save a change plan as a reusable template
+   * @apiName SavePlanAsTemplate
+   * @apiGroup Templates
+   * @apiDescription Save a change plan's steps and dependencies, without their progress, as a template
+   * for create_plan_from_template. {{placeholders}} in the plan name and the steps' titles,
+   * descriptions and context become the template's variables. Options name steps that can be left out.
+   * 
+   * @apiParam {String} planId ID of the change plan to save
+   * @apiParam {String} name Name of the template
+   * @apiParam {String} [description] What the template is for
+   * @apiParam {String} [planName] Name for plans created from the template, which can contain {{placeholders}} (default: the plan's name)
+   * @apiParam {Object[]} [variables] Descriptions and default values of the template's variables
+   * @apiParam {Object[]} [options] Groups of steps that can be left out: name, description, default and stepIds
+   * @apiParam {Boolean} [overwrite=false] Replace a template with the same name
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the saved template, and the links of the plan's steps it leaves out (droppedLinks: stepId, type and target)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("save_plan_as_template", {
+    description: "Save a change plan as a reusable template. Steps keep their content, priorities, estimates and dependencies, but not their progress. Dependencies on steps of other plans and sub-plans can't be kept and are listed in droppedLinks. Write {{variable}} placeholders in the plan name or the steps' titles, descriptions and context to fill in when creating a plan from the template, and define options for steps that can be left out.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to save as a template"),
+      name: z.string().min(1, "Template name is required").describe("Name of the template"),
+      description: z.string().optional().describe("What the template is for"),
+      planName: z.string().min(1).optional().describe("Name for plans created from the template, which can contain {{placeholders}}. Defaults to the plan's name."),
+      variables: z.array(TemplateVariableSchema).optional().describe("Descriptions and default values of the template's variables. Every {{placeholder}} becomes a variable; those without a default must be given a value."),
+      options: z.array(TemplateOptionSchema).optional().describe("Groups of steps, by their IDs in the plan, that are only included when the option is on"),
+      overwrite: z.boolean().optional().default(false).describe("Replace a template with the same name")
+    },
+    outputSchema: {
+      ...TemplateSchema.shape,
+      droppedLinks: z.array(DroppedTemplateLinkSchema).describe("Links of the plan's steps that the template leaves out")
+    }
+  }, async ({ planId, name, description, planName, variables, options, overwrite = false }) => {
+    try {
+      syncPlans();
+
+      const changePlan = changePlans.get(planId);
+
+      if (!changePlan) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Change plan with ID ${planId} not found`
+        ));
+      }
+
+      if (!storage) {
+        return createErrorResult(createError(
+          ErrorCodes.STORAGE_ERROR,
+          "No storage available to save templates in."
+        ));
+      }
+
+      const template = createTemplate(changePlan, {
+        name,
+        description,
+        planName: planName || changePlan.name,
+        variables,
+        options
+      });
+
+      storage.withLock(() => {
+        const existing = storage.loadTemplates().find(t => t.name === name);
+
+        if (existing && !overwrite) {
+          throw new InvalidInputError(`A template named ${name} already exists. Set overwrite=true to replace it.`);
+        }
+        if (existing) {
+          template.createdAt = existing.createdAt;
+        }
+
+        storage.saveTemplate(template);
+      });
+
+      return createToolResult({ ...template, droppedLinks: getDroppedTemplateLinks(changePlan) });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} list_templates List the plan templates
+   * @apiName ListTemplates
+   * @apiGroup Templates
+   * @apiDescription List the templates plans can be created from, with their variables and options
+   * 
+   * @apiParam {Boolean} [includeSteps=false] Include each template's steps
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the number of templates (total) and the templates
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("list_templates", {
+    description: "List the templates change plans can be created from, with their variables, options and number of steps.",
+    inputSchema: {
+      includeSteps: z.boolean().optional().default(false).describe("Include each template's steps")
+    },
+    outputSchema: {
+      total: z.number().int(),
+      templates: z.array(TemplateSchema.extend({
+        steps: TemplateSchema.shape.steps.optional(),
+        stepCount: z.number().int()
+      }))
+    }
+  }, async ({ includeSteps = false }) => {
+    try {
+      const templates = (storage ? storage.loadTemplates() : []).map(template => {
+        const { steps, ...summary } = template;
+        return includeSteps
+          ? { ...template, stepCount: steps.length }
+          : { ...summary, stepCount: steps.length };
+      });
+
+      return createToolResult({ total: templates.length, templates });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} create_plan_from_template Create a change plan from a template
+   * @apiName CreatePlanFromTemplate
+   * @apiGroup Templates
+   * @apiDescription Create a new change plan from a template, filling in its variables and leaving
+   * out the steps of disabled options. Steps that depended on a left out step depend on its
+   * dependencies instead.
+   * 
+   * @apiParam {String} template Name of the template
+   * @apiParam {String} [name] Name of the new plan, which can contain {{placeholders}} (default: the template's plan name)
+   * @apiParam {Object} [variables] Values of the template's variables, by name
+   * @apiParam {Object} [options] Which of the template's options are on, by name
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the created change plan
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("create_plan_from_template", {
+    description: "Create a new change plan from a template. Give a value for each of the template's variables that has no default, and turn options on or off to include or leave out their steps. Use list_templates to see the variables and options.",
+    inputSchema: {
+      template: z.string().min(1, "Template name is required").describe("Name of the template"),
+      name: z.string().min(1).optional().describe("Name of the new plan, which can contain {{placeholders}}. Defaults to the template's plan name."),
+      variables: z.record(z.string(), z.string()).optional().describe("Values of the template's variables, by name"),
+      options: z.record(z.string(), z.boolean()).optional().describe("Whether each of the template's options is on, by name. Options not given take their default.")
+    },
+    outputSchema: PlanSchema.shape
+  }, async ({ template: templateName, name, variables, options }) => {
+    try {
+      syncPlans();
+
+      const template = (storage ? storage.loadTemplates() : []).find(t => t.name === templateName);
+
+      if (!template) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Template ${templateName} not found`
+        ));
+      }
+
+      const instance = instantiateTemplate(template, { name, variables, options });
+
+      // Validate the dependency graph, as create_change_plan does
+      validateStepGraph(
+        instance.steps.map((step, index) => ({ id: index.toString(), dependsOn: step.dependsOn, parentId: step.parentId }))
+      );
+
+      const changePlan = buildChangePlan(instance.name, instance.steps, {
+        ...(template.nextStepStrategy ? { nextStepStrategy: template.nextStepStrategy } : {}),
+        ...(template.strategyWeights ? { strategyWeights: template.strategyWeights } : {}),
+        template: template.name
+      });
+
+      changePlans.set(changePlan.id, changePlan);
+
+      // Save plans to file
+      savePlans("create_plan_from_template");
+
+      return createToolResult(changePlan);
+    } catch (error) {
+      return createErrorResult(handleError(error));
     }
-    
-    if (!hasChanges) {
-      return {
-        content: [{ type: "text", text: JSON.stringify({ 
-          message: "No changes were made to the step",
-          step
-        }, null, 2) }]
-      };
+  });
+
+  /**
+   * @api {tool} list_backups List backups of the change plans
+   * @apiName ListBackups
+   * @apiGroup Backups
+   * @apiDescription List the timestamped backups the JSON store keeps of the change plans, newest first.
+   * A backup of the previous state is taken before every save.
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the backups (name, createdAt, size)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("list_backups", {
+    description: "List the available backups of the change plans, newest first.",
+    outputSchema: {
+      total: z.number().int(),
+      backups: z.array(z.object({
+        name: z.string(),
+        createdAt: z.string(),
+        size: z.number()
+      }))
+    }
+  }, async () => {
+    try {
+      syncPlans();
+
+      if (!storage || !storage.listBackups) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          "Backups are only available with the JSON storage backend"
+        ));
+      }
+
+      const backups = storage.listBackups();
+
+      return createToolResult({ total: backups.length, backups });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} restore_backup Restore the change plans from a backup
+   * @apiName RestoreBackup
+   * @apiGroup Backups
+   * @apiDescription Replace all change plans with the contents of a backup. The current state is
+   * backed up first, so a restore can itself be undone.
+   * 
+   * @apiParam {String} name Name of the backup to restore, as returned by list_backups
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing a success message and the number of restored plans
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("restore_backup", {
+    description: "Replace all change plans with the contents of a backup. The current state is backed up first.",
+    inputSchema: {
+      name: z.string().min(1, "Backup name is required").describe("Name of the backup to restore, as returned by list_backups")
+    },
+    outputSchema: {
+      message: z.string(),
+      restoredPlans: z.number().int()
+    }
+  }, async ({ name }) => {
+    try {
+      syncPlans();
+
+      if (!storage || !storage.readBackup) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          "Backups are only available with the JSON storage backend"
+        ));
+      }
+
+      const plans = storage.readBackup(name);
+
+      // Restored plans get a new revision, so revisions never go backwards,
+      // and keep their step ID counter, so no step ID is handed out twice
+      const currentPlans = new Map(changePlans);
+      replacePlans(plans);
+      changePlans.forEach(plan => {
+        const current = currentPlans.get(plan.id);
+        plan.revision = Math.max(plan.revision, current ? current.revision : 0);
+        plan.nextStepId = Math.max(plan.nextStepId, (current && current.nextStepId) || 0);
+        touchPlan(plan);
+      });
+
+      // Save plans to file
+      savePlans("restore_backup");
+
+      return createToolResult({
+        message: `Restored change plans from backup ${name}`,
+        restoredPlans: changePlans.size
+      });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} get_plan_history Get the audit history of a change plan
+   * @apiName GetPlanHistory
+   * @apiGroup History
+   * @apiDescription Get the audit history of a change plan, newest first. Every saved change is
+   * recorded with when it was made, who made it (the connected client), which tool made it, the
+   * revision it produced and what changed. The history is kept for deleted plans too.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {Number} [limit=50] Maximum number of events to return
+   * @apiParam {Boolean} [includeSnapshots=false] Include the whole plan before and after each change
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing the history events (id, at, actor, tool, revision, changes)
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("get_plan_history", {
+    description: "Get the audit history of a change plan, newest first: when each change was made, by whom, with which tool, and the values before and after.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      limit: z.number().int().positive().optional().describe("Maximum number of events to return (default 50)"),
+      includeSnapshots: z.boolean().optional().describe("Include the whole plan before and after each change")
+    },
+    outputSchema: {
+      planId: z.string(),
+      total: z.number().int(),
+      events: z.array(HistoryEventSchema)
+    }
+  }, async ({ planId, limit = 50, includeSnapshots = false }) => {
+    try {
+      syncPlans();
+
+      if (!storage) {
+        return createErrorResult(createError(
+          ErrorCodes.STORAGE_ERROR,
+          "No storage available. The audit history is only recorded when plans are saved to storage."
+        ));
+      }
+
+      const events = storage.readHistory(planId);
+
+      if (events.length === 0 && !changePlans.has(planId)) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `No change plan or history found with ID ${planId}`
+        ));
+      }
+
+      const history = events.slice(-limit).reverse().map(({ before, after, ...event }) => ({
+        ...event,
+        changes: describePlanChanges(before, after),
+        ...(includeSnapshots ? { before, after } : {})
+      }));
+
+      return createToolResult({ planId, total: events.length, events: history });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  });
+
+  /**
+   * @api {tool} undo_last_change Undo the last change to a change plan
+   * @apiName UndoLastChange
+   * @apiGroup History
+   * @apiDescription Undo the latest change to a change plan that hasn't been undone yet, putting the
+   * plan back to how it was before. Calling it again undoes the change before that. Undoing the
+   * creation of a plan deletes it and undoing a deletion restores it. The undo is recorded in the
+   * history as a change of its own, with a new revision. Like delete_change_plan, undoing the
+   * creation of a plan other plans depend on is refused unless force is set. A restored version
+   * that would now make a cycle with other plans is refused.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {Boolean} [force=false] Undo even if it deletes a plan steps of other plans depend on
+   * @apiParam {Number} [expectedRevision] Only undo if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing a success message, the undone event and the plan as it is now
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("undo_last_change", {
+    description: "Undo the latest change to a change plan that hasn't been undone yet. Call it repeatedly to step further back.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      force: z.boolean().optional().default(false).describe("Undo even if it deletes a plan steps of other plans depend on (default: false)"),
+      expectedRevision: z.number().int().optional().describe("Only undo if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: HistoryReplaySchema.shape
+  }, async ({ planId, force = false, expectedRevision }) => {
+    return replayHistoryEvent(planId, expectedRevision, "undo", force);
+  });
+
+  /**
+   * @api {tool} redo_last_change Redo the last undone change to a change plan
+   * @apiName RedoLastChange
+   * @apiGroup History
+   * @apiDescription Redo the change to a change plan most recently undone with undo_last_change.
+   * Any other change to the plan after the undo discards what could be redone. As with undo, redoing
+   * the deletion of a plan other plans depend on is refused unless force is set.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {Boolean} [force=false] Redo even if it deletes a plan steps of other plans depend on
+   * @apiParam {Number} [expectedRevision] Only redo if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing a success message, the redone event and the plan as it is now
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("redo_last_change", {
+    description: "Redo the change to a change plan most recently undone with undo_last_change.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      force: z.boolean().optional().default(false).describe("Redo even if it deletes a plan steps of other plans depend on (default: false)"),
+      expectedRevision: z.number().int().optional().describe("Only redo if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: HistoryReplaySchema.shape
+  }, async ({ planId, force = false, expectedRevision }) => {
+    return replayHistoryEvent(planId, expectedRevision, "redo", force);
+  });
+
+  // Shared by undo_last_change and redo_last_change: put the plan back to the
+  // version before (undo) or after (redo) the change at the top of the stack
+  async function replayHistoryEvent(planId, expectedRevision, action, force) {
+    try {
+      syncPlans();
+
+      if (!storage) {
+        return createErrorResult(createError(
+          ErrorCodes.STORAGE_ERROR,
+          "No storage available. The audit history is only recorded when plans are saved to storage."
+        ));
+      }
+
+      const changePlan = changePlans.get(planId);
+      if (changePlan) {
+        checkRevision(changePlan, expectedRevision);
+      }
+
+      const { undoStack, redoStack } = getUndoStacks(storage.readHistory(planId));
+      const event = action === "undo" ? undoStack[undoStack.length - 1] : redoStack[redoStack.length - 1];
+
+      if (!event) {
+        return createErrorResult(createError(
+          ErrorCodes.INVALID_INPUT,
+          `Nothing to ${action} for change plan ${planId}`
+        ));
+      }
+
+      const plan = restorePlanVersion(planId, action === "undo" ? event.before : event.after, { force });
+
+      // Save plans to file
+      savePlans(`${action}_last_change`, action === "undo" ? { undoes: event.id } : { redoes: event.id });
+
+      return createToolResult({
+        message: `${action === "undo" ? "Undid" : "Redid"} ${event.tool} from ${event.at}`,
+        event: { id: event.id, at: event.at, actor: event.actor, tool: event.tool, changes: describePlanChanges(event.before, event.after) },
+        changePlan: plan
+      });
+    } catch (error) {
+      return createErrorResult(handleError(error));
+    }
+  }
+
+  /**
+   * @api {tool} revert_to_revision Revert a change plan to an earlier revision
+   * @apiName RevertToRevision
+   * @apiGroup History
+   * @apiDescription Put a change plan back to how it was at an earlier revision recorded in its
+   * history, undoing every change since in one go. The revert is recorded in the history as a
+   * change of its own, with a new revision, so it can itself be undone. A version whose
+   * dependencies or sub-plans would now make a cycle with other plans is refused.
+   * 
+   * @apiParam {String} planId ID of the change plan
+   * @apiParam {Number} revision The revision to revert to, as listed by get_plan_history
+   * @apiParam {Number} [expectedRevision] Only revert if the plan is at this revision; otherwise fail with a CONFLICT error
+   * 
+   * @apiSuccess {Object} content Response content
+   * @apiSuccess {String} content.type Content type
+   * @apiSuccess {String} content.text JSON string containing a success message and the reverted plan
+   * @apiSuccess {Object} structuredContent The same output as an object, matching the tool's output schema
+   * 
+   * @apiError {Boolean} isError Always true for errors
+   * @apiError {Object} content.text JSON string containing error details
+   * @apiError {Boolean} content.text.error Always true for errors
+   * @apiError {String} content.text.code Error code
+   * @apiError {String} content.text.message Error message
+   * @apiError {String} [content.text.details] Additional error details if available
+   */
+  server.registerTool("revert_to_revision", {
+    description: "Revert a change plan to how it was at an earlier revision recorded in its history.",
+    inputSchema: {
+      planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan"),
+      revision: z.number().int().positive().describe("The revision to revert to, as listed by get_plan_history"),
+      expectedRevision: z.number().int().optional().describe("Only revert if the plan is at this revision; otherwise fail with a CONFLICT error")
+    },
+    outputSchema: {
+      message: z.string(),
+      changePlan: PlanSchema
+    }
+  }, async ({ planId, revision, expectedRevision }) => {
+    try {
+      syncPlans();
+
+      if (!storage) {
+        return createErrorResult(createError(
+          ErrorCodes.STORAGE_ERROR,
+          "No storage available. The audit history is only recorded when plans are saved to storage."
+        ));
+      }
+
+      const changePlan = changePlans.get(planId);
+      if (changePlan) {
+        checkRevision(changePlan, expectedRevision);
+      }
+
+      // The newest recorded version of the plan at that revision. The version
+      // before the first recorded change covers plans older than the history.
+      const versions = storage.readHistory(planId)
+        .flatMap(event => [event.before, event.after])
+        .filter(version => version && version.revision === revision);
+      const version = versions[versions.length - 1];
+
+      if (!version) {
+        return createErrorResult(createError(
+          ErrorCodes.NOT_FOUND,
+          `Revision ${revision} of change plan ${planId} not found in its history`
+        ));
+      }
+
+      const plan = restorePlanVersion(planId, version);
+
+      // Save plans to file
+      savePlans("revert_to_revision", { revertedTo: revision });
+
+      return createToolResult({
+        message: `Reverted change plan ${planId} to revision ${revision}`,
+        changePlan: plan
+      });
+    } catch (error) {
+      return createErrorResult(handleError(error));
     }
-    
-    changePlan.updatedAt = new Date().toISOString();
-    
-    // Save plans to file
-    if (!savePlans()) {
+  });
+
+  /**
+   * @api {resource} change-plan://plans List change plans
+   * @apiName ChangePlansResource
+   * @apiGroup Resources
+   * @apiDescription A listing of all change plans with their progress. Clients can subscribe to
+   * this resource to be notified whenever any plan changes.
+   * 
+   * @apiSuccess {Object[]} contents Resource contents
+   * @apiSuccess {String} contents.text JSON string containing an array of plan summaries (id, name, uri, step counts, updatedAt)
+   */
+  server.resource("change-plans", PLANS_RESOURCE_URI, {
+    description: "All change plans with their progress",
+    mimeType: "application/json"
+  }, async (uri) => {
+    syncPlans();
+
+    const plans = Array.from(changePlans.values()).map(plan => ({
+      id: plan.id,
+      name: plan.name,
+      uri: getPlanResourceUri(plan.id),
+      totalSteps: plan.steps.length,
+      finishedSteps: plan.steps.filter(isStepFinished).length,
+      updatedAt: plan.updatedAt
+    }));
+
+    return {
+      contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(plans, null, 2) }]
+    };
+  });
+
+  /**
+   * @api {resource} change-plan://plans/{id} Get a change plan
+   * @apiName ChangePlanResource
+   * @apiGroup Resources
+   * @apiDescription A single change plan with all of its steps. Clients can subscribe to this
+   * resource to be notified whenever the plan changes.
+   * 
+   * @apiParam {String} id ID of the change plan
+   * 
+   * @apiSuccess {Object[]} contents Resource contents
+   * @apiSuccess {String} contents.text JSON string containing the change plan
+   */
+  server.resource("change-plan", new ResourceTemplate(`${PLANS_RESOURCE_URI}/{id}`, {
+    list: async () => {
+      syncPlans();
+
       return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.STORAGE_ERROR, 
-              "Failed to save changes to storage. The changes were applied in memory only."
-            ), 
-            null, 
-            2
-          ) 
-        }]
+        resources: Array.from(changePlans.values()).map(plan => ({
+          uri: getPlanResourceUri(plan.id),
+          name: plan.name,
+          mimeType: "application/json"
+        }))
       };
     }
-    
+  }), {
+    description: "A change plan with all of its steps",
+    mimeType: "application/json"
+  }, async (uri, { id }) => {
+    syncPlans();
+
+    const changePlan = changePlans.get(decodeURIComponent(id));
+
+    if (!changePlan) {
+      throw new McpError(ErrorCode.InvalidParams, `Change plan with ID ${id} not found`);
+    }
+
     return {
-      content: [{ type: "text", text: JSON.stringify(step, null, 2) }]
+      contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(changePlan, null, 2) }]
     };
-  } catch (error) {
+  });
+
+  // Resource subscriptions, so clients are notified when plans change
+  const subscriptions = new Set()
+  resourceSubscriptions.set(server, subscriptions)
+  server.server.onclose = () => {
+    resourceSubscriptions.delete(server)
+    clientLogLevels.delete(server)
+  }
+
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } })
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri)
+    return {}
+  })
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri)
+    return {}
+  })
+
+  // Log messages for the client, from the level it asks for
+  clientLogLevels.set(server, LOG_LEVEL)
+  server.server.registerCapabilities({ logging: {} })
+
+  server.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    clientLogLevels.set(server, request.params.level)
+    return {}
+  })
+
+  /**
+   * @api {prompt} plan_change Break a goal into a change plan
+   * @apiName PlanChangePrompt
+   * @apiGroup Prompts
+   * @apiDescription Instructions for breaking a goal down into a create_change_plan payload with
+   * priorities and dependencies
+   * 
+   * @apiParam {String} goal The goal the change plan should achieve
+   * @apiParam {String} [context] Additional context, such as constraints or relevant files
+   */
+  server.prompt("plan_change", "Break a goal down into a create_change_plan payload with priorities and dependencies.", {
+    goal: z.string().min(1, "Goal is required").describe("The goal the change plan should achieve"),
+    context: z.string().optional().describe("Additional context, such as constraints or relevant files")
+  }, ({ goal, context }) => {
+    syncPlans();
+
+    const existingPlans = Array.from(changePlans.values()).map(plan => `- ${plan.name} (ID ${plan.id})`);
+
+    const text = [
+      "Break the following goal down into a change plan, then create it by calling the `create_change_plan` tool.",
+      "",
+      "## Goal",
+      "",
+      goal,
+      ...(context ? ["", "## Context", "", context] : []),
+      "",
+      "## Instructions",
+      "",
+      "- Split the work into small, concrete steps that can each be completed and verified on their own.",
+      "- Give every step a short `title` and a `description` of what needs to be done. Put file paths, commands or background in `context`.",
+      "- Steps are identified by their zero-based position in the `steps` array (\"0\", \"1\", ...). Use those IDs in `dependsOn` for steps that can only start once others are finished.",
+      "- If a step has to wait for a step of another plan, add `planId:stepId` to its `dependsOn` (look the step up with `get_change_plan`).",
+      "- Break a large step down into sub-steps by setting their `parentId` to its ID. The parent step is complete once all its sub-steps are, and its dependencies apply to them too.",
+      "- Dependencies must not form a cycle, and a step cannot depend on itself, its parents or its sub-steps.",
+      "- Set `priority` to 'high' for steps that unblock other work or carry the most risk, 'low' for nice-to-haves, and 'medium' otherwise.",
+      "",
+      "The payload must look like this:",
+      "",
+      "```json",
+      JSON.stringify({
+        name: "Short name for the change",
+        steps: [
+          { title: "First step", description: "What to do", context: "Optional context", priority: "high" },
+          { title: "Second step", description: "What to do", dependsOn: ["0"], priority: "medium" }
+        ]
+      }, null, 2),
+      "```",
+      ...(existingPlans.length > 0 ? ["", "## Existing change plans", "", "Check these before creating a duplicate:", "", ...existingPlans] : [])
+    ].join("\n");
+
     return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
+      messages: [{ role: "user", content: { type: "text", text } }]
     };
-  }
-});
-
-/**
- * @api {tool} delete_change_plan Delete a change plan
- * @apiName DeleteChangePlan
- * @apiGroup ChangePlan
- * @apiDescription Delete a change plan by ID
- * 
- * @apiParam {String} id ID of the change plan to delete
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing success message
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("delete_change_plan", "Delete a change plan by ID.", {
-  id: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to delete")
-}, async ({ id }) => {
-  try {
-    const exists = changePlans.has(id);
-    
-    if (!exists) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Change plan with ID ${id} not found`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
-    }
-    
-    changePlans.delete(id);
-    
-    // Save plans to file
-    if (!savePlans()) {
+  });
+
+  /**
+   * @api {prompt} execute_next_step Execute the next step of a change plan
+   * @apiName ExecuteNextStepPrompt
+   * @apiGroup Prompts
+   * @apiDescription Instructions for carrying out the step get_next_step would return, with the
+   * step's details and the plan's progress embedded, and for reporting the result back
+   * 
+   * @apiParam {String} planId ID of the change plan
+   */
+  server.prompt("execute_next_step", "Execute the next ready step of a change plan and report the result back.", {
+    planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan")
+  }, ({ planId }) => {
+    const changePlan = getPlanForPrompt(planId);
+    const finishedCount = changePlan.steps.filter(isStepFinished).length;
+    const { step, plan, reason } = findNextStep(changePlan);
+
+    const header = [
+      `# Change plan: ${changePlan.name} (ID ${changePlan.id})`,
+      "",
+      `Progress: ${finishedCount} of ${changePlan.steps.length} steps finished.`
+    ];
+
+    if (!step) {
+      const incompleteSteps = changePlan.steps.filter(s => !isStepFinished(s));
+      const text = incompleteSteps.length === 0
+        ? [...header, "", "All steps are completed. There is nothing left to execute."].join("\n")
+        : [
+          ...header,
+          "",
+          "No step is ready to work on: the remaining steps have unmet dependencies or are blocked or failed.",
+          "Review them, resolve what is blocking them with `set_step_status` or `update_step`, and report what you changed.",
+          "",
+          incompleteSteps.map(formatStepForPrompt).join("\n\n")
+        ].join("\n");
+
       return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.STORAGE_ERROR, 
-              "Failed to save changes to storage. The plan was deleted from memory only."
-            ), 
-            null, 
-            2
-          ) 
-        }]
+        messages: [{ role: "user", content: { type: "text", text } }]
       };
     }
-    
+
+    const dependencies = getInheritedDependencies(plan, step)
+      .map(depId => resolveDependency(plan, depId))
+      .filter(Boolean);
+
+    const text = [
+      ...header,
+      "",
+      "## Step to execute",
+      "",
+      ...(plan !== changePlan ? [`This step is in plan ${plan.name} (ID ${plan.id}), a sub-plan of this plan.`, ""] : []),
+      formatStepForPrompt(step),
+      "",
+      `Why this step: ${reason}`,
+      ...(dependencies.length > 0 ? ["", "## Finished dependencies", "", dependencies.map(formatStepForPrompt).join("\n\n")] : []),
+      "",
+      "## Instructions",
+      "",
+      `1. Claim the step by calling \`set_step_status\` with planId "${plan.id}", stepId "${step.id}" and status "in_progress".`,
+      "2. Carry out the step as described. Stay within its scope; add new steps with `add_step` for any extra work you discover.",
+      `3. When the step is done, call \`mark_step_complete\` with planId "${plan.id}" and stepId "${step.id}".`,
+      "   If you cannot finish it, call `set_step_status` with status \"blocked\" or \"failed\" and a reason instead.",
+      "4. Report back with a short summary of what you changed, how you verified it, and anything the next step should know."
+    ].join("\n");
+
     return {
-      content: [{ type: "text", text: JSON.stringify({ message: "Change plan deleted successfully" }, null, 2) }]
+      messages: [{ role: "user", content: { type: "text", text } }]
     };
-  } catch (error) {
+  });
+
+  /**
+   * @api {prompt} review_change_plan Review a completed change plan
+   * @apiName ReviewChangePlanPrompt
+   * @apiGroup Prompts
+   * @apiDescription Instructions for reviewing a change plan once its steps are finished, with
+   * every step's status, reasons and timestamps embedded
+   * 
+   * @apiParam {String} planId ID of the change plan
+   */
+  server.prompt("review_change_plan", "Review a completed change plan: verify each step and summarise the outcome.", {
+    planId: z.string().min(1, "Plan ID is required").describe("The ID of the change plan")
+  }, ({ planId }) => {
+    const changePlan = getPlanForPrompt(planId);
+    const incompleteSteps = changePlan.steps.filter(s => !isStepFinished(s));
+
+    const text = [
+      `# Review change plan: ${changePlan.name} (ID ${changePlan.id})`,
+      "",
+      `Created at ${changePlan.createdAt}, last updated at ${changePlan.updatedAt}.`,
+      ...(incompleteSteps.length > 0
+        ? ["", `Note: ${incompleteSteps.length} step(s) are not finished yet: ${incompleteSteps.map(s => s.id).join(', ')}.`]
+        : []),
+      "",
+      "## Steps",
+      "",
+      changePlan.steps.map(formatStepForPrompt).join("\n\n"),
+      "",
+      "## Instructions",
+      "",
+      "1. For every step marked done, check that the work it describes was actually carried out, and how it was verified.",
+      "2. For skipped, failed or blocked steps, explain why and whether follow-up work is needed.",
+      "3. Look for gaps: work the goal needed that no step covered.",
+      "4. Summarise the outcome of the plan, list any follow-up steps (which can be added with `add_step`), and note lessons for future plans."
+    ].join("\n");
+
     return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
+      messages: [{ role: "user", content: { type: "text", text } }]
     };
+  });
+
+  return server
+}
+
+// Connect a server to a transport. Messages from the client are handled in a
+// request context, so changes can be attributed to the client that made them.
+async function connectServer(server, transport) {
+  await server.connect(transport)
+
+  const onmessage = transport.onmessage
+  transport.onmessage = (message, extra) => {
+    const authInfo = extra && extra.authInfo
+    requestContext.run({ server, sessionId: transport.sessionId, authInfo }, () => onmessage(message, extra))
   }
-});
-
-/**
- * @api {tool} search_change_plans Search for change plans
- * @apiName SearchChangePlans
- * @apiGroup ChangePlan
- * @apiDescription Search for change plans by name and filter by completion status
- * 
- * @apiParam {String} [searchTerm] Optional search term to filter plans by name (case-insensitive partial match)
- * @apiParam {String} [status] Optional status filter: 'completed', 'in-progress', or 'all' (default: 'all')
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing matching change plans
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("search_change_plans", "Search for change plans by name and filter by completion status.", {
-  searchTerm: z.string().optional().describe("Optional search term to filter plans by name (case-insensitive partial match)"),
-  status: z.enum(['completed', 'in-progress', 'all']).optional().default('all').describe("Optional status filter: 'completed', 'in-progress', or 'all'")
-}, async ({ searchTerm, status }) => {
-  try {
-    let allPlans = Array.from(changePlans.values());
-    let filteredPlans = allPlans;
-    
-    // Filter by name if a search term is provided
-    if (searchTerm && searchTerm.trim() !== '') {
-      const term = searchTerm.trim().toLowerCase();
-      filteredPlans = filteredPlans.filter(plan => 
-        plan.name.toLowerCase().includes(term)
-      );
-    }
-    
-    // Filter by status if not 'all'
-    if (status !== 'all') {
-      filteredPlans = filteredPlans.filter(plan => {
-        // Check completion status of all steps
-        const allStepsCompleted = plan.steps.every(step => step.completed);
-        const anyStepCompleted = plan.steps.some(step => step.completed);
-        const noSteps = plan.steps.length === 0;
-        
-        if (status === 'completed') {
-          return allStepsCompleted && !noSteps;
-        } else if (status === 'in-progress') {
-          return (anyStepCompleted && !allStepsCompleted) || noSteps;
-        }
-        return true;
-      });
+}
+
+// Send a JSON response from the HTTP server
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+// A JSON-RPC error response, for HTTP requests rejected before they reach a server
+function createJsonRpcError(code, message) {
+  return { jsonrpc: '2.0', error: { code, message }, id: null }
+}
+
+// An HTTP request body larger than HTTP_MAX_BODY_BYTES, answered with a 413
+class RequestTooLargeError extends Error {}
+
+// Read and parse the JSON body of an HTTP request. The rest of a body that is
+// too large is read and discarded, so the 413 response reaches the client.
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    if (Number(req.headers['content-length']) > HTTP_MAX_BODY_BYTES) {
+      req.resume()
+      reject(new RequestTooLargeError(`Request body is larger than ${HTTP_MAX_BODY_BYTES} bytes`))
+      return
     }
-    
-    // Add meta information to the response
-    const result = {
-      total: filteredPlans.length,
-      plans: filteredPlans,
-      filters: {
-        searchTerm: searchTerm || '',
-        status
+
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > HTTP_MAX_BODY_BYTES) {
+        req.removeAllListeners('data')
+        req.resume()
+        reject(new RequestTooLargeError(`Request body is larger than ${HTTP_MAX_BODY_BYTES} bytes`))
+        return
       }
-    };
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
-    };
-  } catch (error) {
-    return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      try {
+        const body = Buffer.concat(chunks).toString('utf8')
+        resolve(body ? JSON.parse(body) : undefined)
+      } catch (err) {
+        reject(err)
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+// Scopes a token can grant. Each scope includes the ones before it: an
+// executor can also read, and an admin can do everything.
+const TOKEN_SCOPES = ['read', 'executor', 'admin']
+
+// The scope each tool requires. Every tool must be listed: createServer
+// refuses to register a tool without a scope.
+const TOOL_SCOPES = {
+  get_change_plans: 'read',
+  get_change_plan: 'read',
+  get_plan_summary: 'read',
+  get_next_step: 'read',
+  get_ready_steps: 'read',
+  get_plan_history: 'read',
+  analyze_change_plan: 'read',
+  search_change_plans: 'read',
+  search_steps: 'read',
+  export_change_plan: 'read',
+  list_templates: 'read',
+  mark_step_complete: 'executor',
+  set_step_status: 'executor',
+  update_step: 'executor',
+  add_step: 'executor',
+  reorder_steps: 'executor',
+  claim_step: 'executor',
+  renew_step_claim: 'executor',
+  release_step: 'executor',
+  create_change_plan: 'admin',
+  delete_change_plan: 'admin',
+  delete_step: 'admin',
+  move_step: 'admin',
+  set_next_step_strategy: 'admin',
+  import_change_plan: 'admin',
+  undo_last_change: 'admin',
+  redo_last_change: 'admin',
+  revert_to_revision: 'admin',
+  save_plan_as_template: 'admin',
+  create_plan_from_template: 'admin',
+  // Backups are only of use to whoever can restore them
+  list_backups: 'admin',
+  restore_backup: 'admin'
+}
+
+// Load the tokens file: { "tokens": [{ "name", "token", "scopes" }] }
+function loadTokens(filePath) {
+  const { tokens } = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+
+  if (!Array.isArray(tokens)) {
+    throw new Error(`${filePath} does not contain a list of tokens`)
   }
-});
-
-/**
- * @api {tool} export_change_plan Export a change plan to JSON
- * @apiName ExportChangePlan
- * @apiGroup ChangePlan
- * @apiDescription Export a specific change plan to JSON format for backup or sharing
- * 
- * @apiParam {String} id ID of the change plan to export
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the exported change plan
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("export_change_plan", "Export a specific change plan to JSON format for backup or sharing.", {
-  id: z.string().min(1, "Plan ID is required").describe("The ID of the change plan to export")
-}, async ({ id }) => {
-  try {
-    const changePlan = changePlans.get(id);
-    
-    if (!changePlan) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.NOT_FOUND, 
-              `Change plan with ID ${id} not found`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+  for (const entry of tokens) {
+    if (!entry.name || !entry.token || !Array.isArray(entry.scopes) || entry.scopes.length === 0 || !entry.scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+      throw new Error(`Token ${entry.name || '(unnamed)'} in ${filePath} needs a name, a token and at least one scope out of ${TOKEN_SCOPES.join(', ')}`)
     }
-    
-    const exportData = {
-      exportedAt: new Date().toISOString(),
-      changePlan
-    };
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(exportData, null, 2) }]
-    };
-  } catch (error) {
-  return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
   }
-});
-
-/**
- * @api {tool} import_change_plan Import a change plan from JSON
- * @apiName ImportChangePlan
- * @apiGroup ChangePlan
- * @apiDescription Import a change plan from JSON format, optionally overwriting an existing plan with the same ID
- * 
- * @apiParam {String} data JSON string containing the change plan data to import
- * @apiParam {Boolean} [overwrite=false] Whether to overwrite an existing plan with the same ID (default: false)
- * 
- * @apiSuccess {Object} content Response content
- * @apiSuccess {String} content.type Content type
- * @apiSuccess {String} content.text JSON string containing the imported change plan
- * 
- * @apiError {Object} content.text JSON string containing error details
- * @apiError {Boolean} content.text.error Always true for errors
- * @apiError {String} content.text.code Error code
- * @apiError {String} content.text.message Error message
- * @apiError {String} [content.text.details] Additional error details if available
- */
-server.tool("import_change_plan", "Import a change plan from JSON format, optionally overwriting an existing plan with the same ID.", {
-  data: z.string().min(1, "JSON data is required").describe("JSON string containing the change plan data to import"),
-  overwrite: z.boolean().optional().default(false).describe("Whether to overwrite an existing plan with the same ID (default: false)")
-}, async ({ data, overwrite = false }) => {
-  try {
-    let importData;
+
+  return tokens
+}
+
+// Hash a token, so tokens of any length can be compared in constant time
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest()
+}
+
+// Find the token an HTTP request was made with. Returns it as the SDK's
+// AuthInfo, or null if the request has no valid bearer token.
+function authenticateRequest(req, tokens) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '')
+  if (!match) {
+    return null
+  }
+
+  const hash = hashToken(match[1])
+  const entry = tokens.find(candidate => crypto.timingSafeEqual(hashToken(candidate.token), hash))
+
+  return entry ? { token: match[1], clientId: entry.name, scopes: entry.scopes } : null
+}
+
+// Check whether the caller may run a tool, throwing a ForbiddenError if not.
+// Requests without a token (stdio, or HTTP without a tokens file) may run
+// any tool.
+function authorizeTool(name) {
+  const context = requestContext.getStore()
+  const authInfo = context && context.authInfo
+
+  if (!authInfo) {
+    return
+  }
+
+  const requiredScope = TOOL_SCOPES[name]
+  const grantedLevel = Math.max(...authInfo.scopes.map(scope => TOKEN_SCOPES.indexOf(scope)))
+
+  if (grantedLevel < TOKEN_SCOPES.indexOf(requiredScope)) {
+    throw new ForbiddenError(
+      `Token ${authInfo.clientId} is not allowed to call ${name}, which requires the ${requiredScope} scope`,
+      { tool: name, requiredScope, scopes: authInfo.scopes }
+    )
+  }
+}
+
+// Serve MCP over HTTP. The Streamable HTTP transport is at /mcp, and the older
+// HTTP+SSE transport at /sse and /messages for clients that don't support it
+// yet. /health reports whether the server is up. Each client session gets its
+// own server, and all of them share the same change plans. With a tokens file,
+// every request other than /health needs a valid bearer token, and /health
+// only gives the details of the server to requests with one.
+function startHttpServer() {
+  // Servers are created per session, so register the tools once up front to
+  // fail at startup rather than on the first session if one has no scope
+  createServer()
+
+  // Session ID -> transport, for both kinds of transport
+  const sessions = new Map()
+
+  // Streamable HTTP session ID -> when its last request ended and how many
+  // of its requests are still open, such as a stream of notifications
+  const sessionActivity = new Map()
+
+  // Keep a session alive while a request of it is open, and for
+  // HTTP_SESSION_TIMEOUT after
+  function trackSessionRequest(sessionId, res) {
+    const activity = sessionActivity.get(sessionId) || { lastActive: Date.now(), openRequests: 0 }
+    activity.openRequests++
+    sessionActivity.set(sessionId, activity)
+
+    res.on('close', () => {
+      activity.openRequests--
+      activity.lastActive = Date.now()
+    })
+  }
+
+  // Close the Streamable HTTP sessions that have been idle for too long.
+  // HTTP+SSE sessions end when their event stream closes.
+  function closeIdleSessions() {
+    const now = Date.now()
+
+    for (const [sessionId, activity] of sessionActivity) {
+      if (activity.openRequests === 0 && now - activity.lastActive > HTTP_SESSION_TIMEOUT * 1000) {
+        const transport = sessions.get(sessionId)
+        sessionActivity.delete(sessionId)
+
+        if (transport) {
+          logger.info(`Closing session ${sessionId} after ${HTTP_SESSION_TIMEOUT} seconds without requests`)
+          transport.close().catch(error => {
+            logger.error(`Cannot close session ${sessionId}: ${error.message}`)
+          })
+        }
+      }
+    }
+  }
+
+  if (HTTP_SESSION_TIMEOUT > 0) {
+    setInterval(closeIdleSessions, Math.min(HTTP_SESSION_TIMEOUT * 1000, 60000) / 2).unref()
+  }
+
+  let tokens = null
+  if (TOKENS_FILE) {
     try {
-      importData = JSON.parse(data);
+      tokens = loadTokens(TOKENS_FILE)
     } catch (err) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.INVALID_INPUT, 
-              "Invalid JSON format. The data could not be parsed."
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+      logger.error(`Cannot load tokens file: ${err.message}`)
+      process.exit(1)
     }
-    
-    // Extract the change plan from the data
-    const planToImport = importData.changePlan || importData;
-    
-    // Validate the plan structure
-    if (!planToImport.id || !planToImport.name || !Array.isArray(planToImport.steps)) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.INVALID_INPUT, 
-              "Invalid change plan format. The data must include id, name, and steps array."
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+  } else {
+    logger.warning('No tokens file configured: anyone who can reach the HTTP server can read and change the change plans')
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+
+    if (url.pathname === '/health') {
+      if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: 'Method not allowed' })
+      }
+      // With a tokens file, only requests with a valid token see the
+      // details, as the storage description is a path on the server
+      const details = tokens && !authenticateRequest(req, tokens) ? {} : {
+        sessions: sessions.size,
+        plans: changePlans.size,
+        storage: storage ? storage.description : null
+      }
+      return sendJson(res, 200, { status: 'ok', version: VERSION, ...details })
     }
-    
-    // Check if a plan with the same ID already exists
-    const existingPlan = changePlans.get(planToImport.id);
-    if (existingPlan && !overwrite) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.INVALID_INPUT, 
-              `A change plan with ID ${planToImport.id} already exists. Set overwrite=true to replace it.`
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+    if (tokens) {
+      req.auth = authenticateRequest(req, tokens)
+
+      if (!req.auth) {
+        res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer error="invalid_token"' })
+        res.end(JSON.stringify({ error: 'invalid_token', error_description: 'A valid bearer token is required' }))
+        return
+      }
     }
-    
-    // Add import metadata
-    const importedPlan = {
-      ...planToImport,
-      importedAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    // Ensure all steps have the required fields
-    importedPlan.steps = importedPlan.steps.map((step, index) => ({
-      id: step.id || index.toString(),
-      title: step.title,
-      description: step.description,
-      context: step.context || "",
-      dependsOn: step.dependsOn || [],
-      priority: step.priority || 'medium',
-      completed: step.completed || false,
-      createdAt: step.createdAt || new Date().toISOString(),
-      completedAt: step.completed ? (step.completedAt || new Date().toISOString()) : undefined
-    }));
-    
-    // Save the imported plan
-    changePlans.set(importedPlan.id, importedPlan);
-    
-    // Save plans to file
-    if (!savePlans()) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(
-            createError(
-              ErrorCodes.STORAGE_ERROR, 
-              "Failed to save the imported plan to storage. The plan was imported in memory only."
-            ), 
-            null, 
-            2
-          ) 
-        }]
-      };
+
+    if (url.pathname === '/mcp') {
+      const sessionId = req.headers['mcp-session-id']
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined
+      let transport = sessionId && sessions.get(sessionId)
+
+      if (transport && !(transport instanceof StreamableHTTPServerTransport)) {
+        return sendJson(res, 400, createJsonRpcError(-32000, 'Bad Request: session uses the HTTP+SSE transport'))
+      }
+
+      if (!transport) {
+        if (sessionId) {
+          return sendJson(res, 404, createJsonRpcError(-32001, 'Session not found'))
+        }
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+          return sendJson(res, 400, createJsonRpcError(-32000, 'Bad Request: no valid session ID provided'))
+        }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: id => {
+            sessions.set(id, transport)
+            trackSessionRequest(id, res)
+          }
+        })
+        transport.onclose = () => {
+          sessions.delete(transport.sessionId)
+          sessionActivity.delete(transport.sessionId)
+        }
+        await connectServer(createServer(), transport)
+      } else {
+        trackSessionRequest(sessionId, res)
+      }
+
+      return transport.handleRequest(req, res, body)
     }
-    
-    return {
-      content: [{ type: "text", text: JSON.stringify(importedPlan, null, 2) }]
-    };
-  } catch (error) {
-    return {
-      content: [{ type: "text", text: JSON.stringify(handleError(error), null, 2) }]
-    };
+
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      const transport = new SSEServerTransport('/messages', res)
+      sessions.set(transport.sessionId, transport)
+      transport.onclose = () => sessions.delete(transport.sessionId)
+      return connectServer(createServer(), transport)
+    }
+
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      const transport = sessions.get(url.searchParams.get('sessionId'))
+
+      if (!(transport instanceof SSEServerTransport)) {
+        return sendJson(res, 404, createJsonRpcError(-32001, 'Session not found'))
+      }
+      return transport.handlePostMessage(req, res, await readJsonBody(req))
+    }
+
+    sendJson(res, 404, { error: 'Not found' })
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      logger.error(`Error handling ${req.method} ${req.url}: ${error.message}`)
+      if (!res.headersSent) {
+        if (error instanceof SyntaxError) {
+          sendJson(res, 400, createJsonRpcError(-32700, 'Parse error'))
+        } else if (error instanceof RequestTooLargeError) {
+          sendJson(res, 413, createJsonRpcError(-32600, error.message))
+        } else {
+          sendJson(res, 500, createJsonRpcError(-32603, 'Internal server error'))
+        }
+      }
+    })
+  })
+
+  httpServer.listen(HTTP_PORT, HTTP_HOST, () => {
+    logger.info(`Change Plan MCP Server listening on http://${HTTP_HOST}:${HTTP_PORT}/mcp`)
+  })
+
+  // Close the client sessions before exiting
+  const shutdown = async () => {
+    httpServer.close()
+    await Promise.allSettled(Array.from(sessions.values()).map(transport => transport.close()))
+    process.exit(0)
   }
-});
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
 
-const transport = new StdioServerTransport()
-await server.connect(transport)
+if (TRANSPORT === 'http') {
+  startHttpServer()
+} else {
+  if (TRANSPORT !== 'stdio') {
+    logger.warning(`Unknown MCP_TRANSPORT '${TRANSPORT}', falling back to stdio`)
+  }
+  await connectServer(createServer(), new StdioServerTransport())
+}
@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('plan analysis', () => {
+  let server
+  let plan
+
+  before(async () => {
+    server = await startServer()
+    // 0 -> 1 -> 3 and 0 -> 2 -> 3, with step 3 unestimated
+    plan = await createPlan(server.call, 'diamond', [
+      { title: 'a', estimate: 2 },
+      { title: 'b', estimate: 3, dependsOn: ['0'] },
+      { title: 'c', estimate: 1, dependsOn: ['0'] },
+      { title: 'd', dependsOn: ['1', '2'] }
+    ])
+  })
+  after(() => server.close())
+
+  it('finds the critical path, parallel levels and blockers', async () => {
+    const analysis = await server.call('analyze_change_plan', { planId: plan.id })
+
+    assert.deepEqual(analysis.topologicalOrder, ['0', '1', '2', '3'])
+    assert.deepEqual(analysis.parallelLevels.map(level => level.stepIds), [['0'], ['1', '2'], ['3']])
+    assert.equal(analysis.maxParallelism, 2)
+    assert.deepEqual(analysis.criticalPath, { stepIds: ['0', '1', '3'], effort: 7 })
+    assert.deepEqual(analysis.blockers[0], { stepId: '0', title: 'a', status: 'pending', downstreamSteps: 3, downstreamEffort: 6 })
+  })
+
+  it('estimates unestimated steps and projects durations', async () => {
+    const analysis = await server.call('analyze_change_plan', { planId: plan.id, agents: 1 })
+
+    assert.deepEqual(analysis.effort, { total: 8, completed: 0, remaining: 8, defaultEstimate: 2, unestimatedStepIds: ['3'] })
+    assert.deepEqual(analysis.projectedDuration, { singleAgent: 8, unlimitedAgents: 7, agents: 1, withAgents: 8 })
+  })
+
+  it('only counts the remaining work once steps are finished', async () => {
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+
+    const analysis = await server.call('analyze_change_plan', { planId: plan.id })
+    assert.deepEqual(analysis.parallelLevels.map(level => level.stepIds), [['1', '2'], ['3']])
+    assert.deepEqual(analysis.criticalPath, { stepIds: ['1', '3'], effort: 5 })
+    assert.equal(analysis.effort.remaining, 6)
+    assert.ok(!analysis.blockers.some(blocker => blocker.stepId === '0'))
+  })
+
+  it('reports an unknown plan', async () => {
+    await assert.rejects(server.call('analyze_change_plan', { planId: 'missing' }), { code: 'NOT_FOUND' })
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('ready steps and claims', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('lists the steps whose dependencies are finished', async () => {
+    const plan = await createPlan(server.call, 'ready', ['a', 'b', { title: 'c', dependsOn: ['0', '1'] }])
+
+    const ready = await server.call('get_ready_steps', { planId: plan.id })
+    assert.deepEqual(ready.steps.map(step => step.id), ['0', '1'])
+
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '1' })
+    assert.deepEqual((await server.call('get_ready_steps', { planId: plan.id })).steps.map(step => step.id), ['2'])
+  })
+
+  it('hands each step to one agent at a time', async () => {
+    const plan = await createPlan(server.call, 'claimed', ['a', 'b', { title: 'c', dependsOn: ['0'] }])
+
+    const { step } = await server.call('claim_step', { planId: plan.id, stepId: '0', agentId: 'agent-1' })
+    assert.equal(step.status, 'in_progress')
+    assert.equal(step.claim.agentId, 'agent-1')
+
+    await assert.rejects(
+      server.call('claim_step', { planId: plan.id, stepId: '0', agentId: 'agent-2' }),
+      error => error.code === 'CONFLICT' && error.details.claim.agentId === 'agent-1'
+    )
+    await assert.rejects(
+      server.call('claim_step', { planId: plan.id, stepId: '2', agentId: 'agent-2' }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    const forOther = await server.call('get_ready_steps', { planId: plan.id, agentId: 'agent-2' })
+    assert.deepEqual(forOther.steps.map(s => s.id), ['1'])
+    assert.equal(forOther.claimedByOthers, 1)
+
+    const forOwner = await server.call('get_ready_steps', { planId: plan.id, agentId: 'agent-1' })
+    assert.deepEqual(forOwner.steps.map(s => s.id), ['0', '1'])
+  })
+
+  it('renews a claim without changing the revision', async () => {
+    const plan = await createPlan(server.call, 'renewed', ['a'])
+    const claimed = await server.call('claim_step', { planId: plan.id, stepId: '0', agentId: 'agent-1', leaseSeconds: 60 })
+    const { revision } = await server.call('get_change_plan', { id: plan.id })
+
+    const renewed = await server.call('renew_step_claim', { planId: plan.id, stepId: '0', agentId: 'agent-1', leaseSeconds: 600 })
+    assert.ok(renewed.step.claim.expiresAt > claimed.step.claim.expiresAt)
+    assert.equal(renewed.step.claim.claimedAt, claimed.step.claim.claimedAt)
+    assert.equal((await server.call('get_change_plan', { id: plan.id })).revision, revision)
+
+    await assert.rejects(
+      server.call('renew_step_claim', { planId: plan.id, stepId: '0', agentId: 'agent-2' }),
+      { code: 'CONFLICT' }
+    )
+  })
+
+  it('puts a released step back to pending', async () => {
+    const plan = await createPlan(server.call, 'released', ['a'])
+    await server.call('claim_step', { planId: plan.id, stepId: '0', agentId: 'agent-1' })
+
+    const { step } = await server.call('release_step', { planId: plan.id, stepId: '0', agentId: 'agent-1' })
+    assert.equal(step.status, 'pending')
+    assert.equal(step.claim, undefined)
+
+    await server.call('claim_step', { planId: plan.id, stepId: '0', agentId: 'agent-2' })
+  })
+
+  it('lets another agent take over a claim whose lease ran out', async () => {
+    const plan = await createPlan(server.call, 'expired', ['a'])
+    await server.call('claim_step', { planId: plan.id, stepId: '0', agentId: 'agent-1', leaseSeconds: 1 })
+
+    await new Promise(resolve => setTimeout(resolve, 1100))
+
+    const { step } = await server.call('claim_step', { planId: plan.id, stepId: '0', agentId: 'agent-2' })
+    assert.equal(step.claim.agentId, 'agent-2')
+  })
+})
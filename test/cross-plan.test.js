@@ -0,0 +1,74 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('cross-plan dependencies', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('waits for a step of another plan to be finished', async () => {
+    const api = await createPlan(server.call, 'api', ['endpoint'])
+    const ui = await createPlan(server.call, 'ui', [{ title: 'screen', dependsOn: [`${api.id}:0`] }])
+
+    assert.deepEqual((await server.call('get_ready_steps', { planId: ui.id })).steps, [])
+    await assert.rejects(
+      server.call('mark_step_complete', { planId: ui.id, stepId: '0' }),
+      error => error.code === 'INVALID_INPUT' && error.message.includes(`${api.id}:0`)
+    )
+
+    await server.call('mark_step_complete', { planId: api.id, stepId: '0' })
+    assert.deepEqual((await server.call('get_ready_steps', { planId: ui.id })).steps.map(step => step.id), ['0'])
+  })
+
+  it('rejects dependencies on plans or steps that do not exist', async () => {
+    const plan = await createPlan(server.call, 'dangling', ['a'])
+    const other = await createPlan(server.call, 'other', ['x'])
+
+    for (const depId of ['missing:0', `${other.id}:7`]) {
+      await assert.rejects(
+        server.call('add_step', { planId: plan.id, title: 'b', description: 'b', dependsOn: [depId] }),
+        { code: 'INVALID_INPUT' },
+        depId
+      )
+    }
+  })
+
+  it('rejects cycles across plans', async () => {
+    const first = await createPlan(server.call, 'first', ['a'])
+    const second = await createPlan(server.call, 'second', [{ title: 'b', dependsOn: [`${first.id}:0`] }])
+
+    await assert.rejects(
+      server.call('update_step', { planId: first.id, stepId: '0', dependsOn: [`${second.id}:0`] }),
+      error => error.code === 'INVALID_INPUT' && /Circular dependency across plans/.test(error.message)
+    )
+  })
+
+  it('protects steps and plans other plans depend on', async () => {
+    const base = await createPlan(server.call, 'base', ['a'])
+    const dependent = await createPlan(server.call, 'dependent', [{ title: 'b', dependsOn: [`${base.id}:0`] }])
+
+    await assert.rejects(
+      server.call('delete_step', { planId: base.id, stepId: '0' }),
+      error => error.code === 'INVALID_INPUT' && error.details.dependents.includes(`${dependent.id}:0`)
+    )
+    await assert.rejects(server.call('delete_change_plan', { id: base.id }), { code: 'INVALID_INPUT' })
+
+    // Once forced, the dangling dependency doesn't hold up other changes
+    await server.call('delete_change_plan', { id: base.id, force: true })
+    const { step } = await server.call('update_step', { planId: dependent.id, stepId: '0', title: 'renamed' })
+    assert.equal(step.title, 'renamed')
+  })
+
+  it('protects plans other plans depend on from being deleted by undo', async () => {
+    const base = await createPlan(server.call, 'undone base', ['a'])
+    await createPlan(server.call, 'undone dependent', [{ title: 'b', dependsOn: [`${base.id}:0`] }])
+
+    await assert.rejects(server.call('undo_last_change', { planId: base.id }), { code: 'INVALID_INPUT' })
+    assert.equal((await server.call('get_change_plan', { id: base.id })).name, 'undone base')
+
+    const { changePlan } = await server.call('undo_last_change', { planId: base.id, force: true })
+    assert.equal(changePlan, null)
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('export formats', () => {
+  let server
+  let plan
+
+  before(async () => {
+    server = await startServer()
+    plan = await createPlan(server.call, 'Export me', [
+      { title: 'a', priority: 'high' },
+      { title: 'b', dependsOn: ['0'] },
+      { title: 'c "quoted"', priority: 'low' }
+    ])
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+  })
+  after(() => server.close())
+
+  const exportPlan = async format => (await server.call('export_change_plan', { id: plan.id, format })).document
+
+  it('exports the whole plan as JSON by default', async () => {
+    const exported = await server.call('export_change_plan', { id: plan.id })
+    assert.equal(exported.format, 'json')
+    assert.equal(exported.document, undefined)
+    assert.deepEqual(exported.changePlan.steps.map(step => step.status), ['done', 'pending', 'pending'])
+  })
+
+  it('renders a Markdown task list grouped by priority', async () => {
+    const document = await exportPlan('markdown')
+
+    assert.match(document, /^# Export me\n\nProgress: 1 of 3 steps finished \(33%\)/)
+    assert.match(document, /## High priority\n\n- \[x\] \*\*a\*\* \(step 0\)/)
+    assert.match(document, /- \[ \] \*\*b\*\* \(step 1\)\n  b\n  - Depends on: step 0/)
+    assert.ok(document.indexOf('## Medium priority') < document.indexOf('## Low priority'))
+  })
+
+  it('renders a Mermaid flowchart with escaped labels and styled statuses', async () => {
+    const document = await exportPlan('mermaid')
+
+    assert.match(document, /^graph TD\n/)
+    assert.match(document, /step2\["2: c #quot;quoted#quot;"\]/)
+    assert.match(document, /step0 --> step1/)
+    assert.match(document, /class step0 done/)
+  })
+
+  it('renders a plain text checklist', async () => {
+    const document = await exportPlan('checklist')
+
+    assert.deepEqual(document.split('\n').slice(-3), ['[x] 0. a', '[ ] 1. b [after 0]', '[ ] 2. c "quoted"'])
+  })
+})
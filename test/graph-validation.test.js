@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('dependency graph validation', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('rejects a cycle in create_change_plan and names its path', async () => {
+    await assert.rejects(
+      server.call('create_change_plan', {
+        name: 'cycle',
+        steps: [
+          { title: 'a', description: 'a', dependsOn: ['2'] },
+          { title: 'b', description: 'b', dependsOn: ['0'] },
+          { title: 'c', description: 'c', dependsOn: ['1'] }
+        ]
+      }),
+      error => error.code === 'INVALID_INPUT' && /Circular dependency detected: (\d) -> (\d) -> (\d) -> \1/.test(error.message)
+    )
+  })
+
+  it('rejects dependencies on steps that do not exist', async () => {
+    await assert.rejects(
+      server.call('create_change_plan', { name: 'dangling', steps: [{ title: 'a', description: 'a', dependsOn: ['7'] }] }),
+      { code: 'INVALID_INPUT', message: /non-existent step ID: 7/ }
+    )
+  })
+
+  it('rejects a cycle made by add_step and update_step', async () => {
+    const plan = await createPlan(server.call, 'grow', ['a', { title: 'b', dependsOn: ['0'] }])
+
+    await assert.rejects(
+      server.call('update_step', { planId: plan.id, stepId: '0', dependsOn: ['1'] }),
+      { code: 'INVALID_INPUT', message: /Circular dependency detected/ }
+    )
+    await assert.rejects(
+      server.call('add_step', { planId: plan.id, title: 'c', description: 'c', dependsOn: ['9'] }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    const stored = await server.call('get_change_plan', { id: plan.id })
+    assert.deepEqual(stored.steps.map(step => step.dependsOn), [[], ['0']])
+  })
+
+  it('rejects duplicate step IDs and cycles in imported plans', async () => {
+    const importPlan = steps => server.call('import_change_plan', {
+      data: JSON.stringify({ id: 'imported', name: 'imported', steps })
+    })
+
+    await assert.rejects(
+      importPlan([{ id: '0', title: 'a', description: 'a' }, { id: '0', title: 'b', description: 'b' }]),
+      { code: 'INVALID_INPUT', message: /Duplicate step ID: 0/ }
+    )
+    await assert.rejects(
+      importPlan([{ id: '0', title: 'a', description: 'a', dependsOn: ['1'] }, { id: '1', title: 'b', description: 'b', dependsOn: ['0'] }]),
+      { code: 'INVALID_INPUT', message: /Circular dependency detected/ }
+    )
+  })
+})
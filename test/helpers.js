@@ -0,0 +1,126 @@
+// Helpers for the behaviour tests: run the server over stdio in a temporary
+// storage directory, and call its tools as a client would
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import net from 'net'
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js'
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js'
+
+export const SERVER_PATH = fileURLToPath(new URL('../mcp-server.js', import.meta.url))
+
+// Make a temporary directory, removed when the process exits
+export function createTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'change-plan-test-'))
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// Call a tool of a connected client. Returns its structured output, or throws
+// the error it returned, with its code.
+function createCaller(client) {
+  return async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args })
+
+    if (result.isError) {
+      const text = result.content[0].text
+      let body
+      try {
+        body = JSON.parse(text)
+      } catch (error) {
+        body = { code: 'PROTOCOL_ERROR', message: text }
+      }
+      const error = new Error(body.message)
+      error.code = body.code
+      error.details = body.details
+      throw error
+    }
+
+    return result.structuredContent
+  }
+}
+
+// Start a server and connect a client to it. The storage directory is a new
+// temporary one unless given, so servers can share one. stderr() returns what
+// the server has written to stderr so far.
+export async function startServer({ storageDir = createTempDir(), env = {}, args = [] } = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH, ...args],
+    env: { ...process.env, STORAGE_PATH: storageDir, LOG_LEVEL: 'error', ...env },
+    stderr: 'pipe'
+  })
+  let stderr = ''
+  transport.stderr.on('data', chunk => { stderr += chunk })
+  const client = new Client({ name: 'change-plan-tests', version: '1.0.0' })
+  await client.connect(transport)
+
+  return { client, call: createCaller(client), storageDir, stderr: () => stderr, close: () => client.close() }
+}
+
+// A plan with steps created from titles, each step depending on nothing
+export async function createPlan(call, name, steps) {
+  return call('create_change_plan', {
+    name,
+    steps: steps.map(step => typeof step === 'string' ? { title: step, description: step } : { description: step.title, ...step })
+  })
+}
+
+// Find a free local port
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer()
+    probe.on('error', reject)
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    })
+  })
+}
+
+// Start a server in HTTP mode and wait until it answers /health. connect()
+// connects a client over Streamable HTTP, optionally with a bearer token.
+export async function startHttpServer({ storageDir = createTempDir(), env = {}, args = [] } = {}) {
+  const port = await getFreePort()
+  const url = `http://127.0.0.1:${port}`
+  const child = spawn(process.execPath, [SERVER_PATH, '--http', '--port', String(port), ...args], {
+    env: { ...process.env, STORAGE_PATH: storageDir, LOG_LEVEL: 'error', ...env },
+    stdio: ['ignore', 'ignore', 'pipe']
+  })
+  let stderr = ''
+  child.stderr.on('data', chunk => { stderr += chunk })
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${url}/health`)
+      break
+    } catch (error) {
+      if (attempt === 100 || child.exitCode !== null) {
+        child.kill()
+        throw new Error(`HTTP server did not start: ${stderr}`)
+      }
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+  }
+
+  const clients = []
+  const connect = async token => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+      requestInit: token ? { headers: { Authorization: `Bearer ${token}` } } : {}
+    })
+    const client = new Client({ name: 'change-plan-tests', version: '1.0.0' })
+    await client.connect(transport)
+    clients.push(client)
+    return { client, call: createCaller(client) }
+  }
+
+  const close = async () => {
+    await Promise.allSettled(clients.map(client => client.close()))
+    child.kill()
+  }
+
+  return { url, connect, storageDir, stderr: () => stderr, close }
+}
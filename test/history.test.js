@@ -0,0 +1,148 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { startServer, createPlan } from './helpers.js'
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false)
+
+describe('audit history', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('records who changed what with which tool, newest first', async () => {
+    const plan = await createPlan(server.call, 'audited', ['a'])
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'A' })
+
+    const history = await server.call('get_plan_history', { planId: plan.id })
+    assert.equal(history.total, 2)
+    assert.deepEqual(history.events.map(event => [event.tool, event.revision]), [['update_step', 2], ['create_change_plan', 1]])
+    assert.match(history.events[0].actor, /^change-plan-tests 1\.0\.0/)
+    assert.deepEqual(history.events[1].changes, [{ change: 'created' }])
+    assert.ok(history.events[0].changes.length > 0)
+    assert.equal(history.events[0].before, undefined)
+
+    const withSnapshots = await server.call('get_plan_history', { planId: plan.id, limit: 1, includeSnapshots: true })
+    assert.equal(withSnapshots.events.length, 1)
+    assert.equal(withSnapshots.events[0].before.steps[0].title, 'a')
+    assert.equal(withSnapshots.events[0].after.steps[0].title, 'A')
+  })
+
+  it('keeps the history of a deleted plan and can undo the deletion', async () => {
+    const plan = await createPlan(server.call, 'deleted', ['a'])
+    await server.call('delete_change_plan', { id: plan.id })
+
+    const history = await server.call('get_plan_history', { planId: plan.id })
+    assert.deepEqual(history.events[0].changes, [{ change: 'deleted' }])
+    assert.equal(history.events[0].revision, null)
+
+    await server.call('undo_last_change', { planId: plan.id })
+    assert.equal((await server.call('get_change_plan', { id: plan.id })).name, 'deleted')
+  })
+
+  it('reports an unknown plan', async () => {
+    await assert.rejects(server.call('get_plan_history', { planId: 'missing' }), { code: 'NOT_FOUND' })
+  })
+})
+
+describe('undo and redo', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('undoes and redoes a change with new revisions', async () => {
+    const plan = await createPlan(server.call, 'undone', ['a'])
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'A' })
+
+    const undone = await server.call('undo_last_change', { planId: plan.id })
+    assert.equal(undone.changePlan.steps[0].title, 'a')
+    assert.equal(undone.changePlan.revision, 3)
+
+    const redone = await server.call('redo_last_change', { planId: plan.id })
+    assert.equal(redone.changePlan.steps[0].title, 'A')
+    assert.equal(redone.changePlan.revision, 4)
+  })
+
+  it('does not reuse the ID of an undone step', async () => {
+    const plan = await createPlan(server.call, 'undone step', ['a'])
+
+    const added = await server.call('add_step', { planId: plan.id, title: 'b', description: 'b' })
+    assert.equal(added.id, '1')
+    await server.call('undo_last_change', { planId: plan.id })
+
+    const again = await server.call('add_step', { planId: plan.id, title: 'c', description: 'c' })
+    assert.equal(again.id, '2')
+  })
+
+  it('discards what could be redone when another change is made', async () => {
+    const plan = await createPlan(server.call, 'redo cleared', ['a'])
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'A' })
+    await server.call('undo_last_change', { planId: plan.id })
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'B' })
+
+    await assert.rejects(server.call('redo_last_change', { planId: plan.id }), { code: 'INVALID_INPUT' })
+  })
+
+  it('does not reuse step IDs after reverting to an earlier revision', async () => {
+    const plan = await createPlan(server.call, 'reverted', ['a'])
+    await server.call('add_step', { planId: plan.id, title: 'b', description: 'b' })
+    await server.call('add_step', { planId: plan.id, title: 'c', description: 'c' })
+    await server.call('revert_to_revision', { planId: plan.id, revision: 1 })
+
+    const step = await server.call('add_step', { planId: plan.id, title: 'd', description: 'd' })
+    assert.equal(step.id, '3')
+  })
+})
+
+for (const backend of ['json', 'sqlite']) {
+  describe(`history retention with the ${backend} backend`, { skip: backend === 'sqlite' && !hasSqlite && 'node:sqlite is not available' }, () => {
+    let server
+
+    before(async () => {
+      server = await startServer({ env: { STORAGE_BACKEND: backend, STORAGE_HISTORY_LIMIT: '3' } })
+    })
+    after(() => server.close())
+
+    it('keeps the newest events of each plan', async () => {
+      const plan = await createPlan(server.call, 'trimmed', ['a'])
+      const other = await createPlan(server.call, 'untouched', ['x'])
+      for (let i = 1; i <= 5; i++) {
+        await server.call('update_step', { planId: plan.id, stepId: '0', title: `a${i}` })
+      }
+
+      const history = await server.call('get_plan_history', { planId: plan.id })
+      assert.equal(history.total, 3)
+      assert.deepEqual(history.events.map(event => event.revision), [6, 5, 4])
+
+      const otherHistory = await server.call('get_plan_history', { planId: other.id })
+      assert.deepEqual(otherHistory.events.map(event => event.revision), [1])
+    })
+
+    it('can still undo the changes it keeps', async () => {
+      const plan = await createPlan(server.call, 'undo trimmed', ['a'])
+      for (let i = 1; i <= 4; i++) {
+        await server.call('update_step', { planId: plan.id, stepId: '0', title: `a${i}` })
+      }
+
+      const undone = await server.call('undo_last_change', { planId: plan.id })
+      assert.equal(undone.changePlan.steps[0].title, 'a3')
+    })
+
+    if (backend === 'json') {
+      it('compacts the history file', async () => {
+        const counts = {}
+        for (const line of fs.readFileSync(path.join(server.storageDir, 'change_plan_history.jsonl'), 'utf8').split('\n').filter(Boolean)) {
+          const { planId } = JSON.parse(line)
+          counts[planId] = (counts[planId] || 0) + 1
+        }
+
+        for (const count of Object.values(counts)) {
+          assert.ok(count < 6, `${count} events kept for one plan`)
+        }
+      })
+    }
+  })
+}
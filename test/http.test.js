@@ -0,0 +1,92 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startHttpServer, createPlan } from './helpers.js'
+
+describe('HTTP transport', () => {
+  let server
+
+  before(async () => {
+    server = await startHttpServer({ env: { MCP_SESSION_TIMEOUT: '1' } })
+  })
+  after(() => server.close())
+
+  it('reports its health', async () => {
+    const response = await fetch(`${server.url}/health`)
+    assert.equal(response.status, 200)
+    assert.equal((await response.json()).status, 'ok')
+  })
+
+  it('shares plans between sessions', async () => {
+    const first = await server.connect()
+    const second = await server.connect()
+
+    const plan = await createPlan(first.call, 'shared', ['a'])
+    const seen = await second.call('get_change_plan', { id: plan.id })
+    assert.equal(seen.name, 'shared')
+  })
+
+  it('rejects a request without a session', async () => {
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    })
+    assert.equal(response.status, 400)
+  })
+
+  it('answers an oversized body with 413', async () => {
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: 'x'.repeat(5 * 1024 * 1024)
+    })
+    assert.equal(response.status, 413)
+  })
+
+  it('answers an oversized chunked body with 413', async () => {
+    const chunk = new TextEncoder().encode('x'.repeat(1024 * 1024))
+    let sent = 0
+    const body = new ReadableStream({
+      pull(controller) {
+        if (sent++ < 5) {
+          controller.enqueue(chunk)
+        } else {
+          controller.close()
+        }
+      }
+    })
+
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      duplex: 'half'
+    })
+    assert.equal(response.status, 413)
+  })
+
+  it('closes sessions that have been idle for longer than the timeout', async () => {
+    const post = (message, sessionId) => fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', ...message })
+    })
+
+    const initialized = await post({
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'idle', version: '1.0.0' } }
+    })
+    const sessionId = initialized.headers.get('mcp-session-id')
+    await initialized.text()
+    assert.equal((await post({ method: 'notifications/initialized' }, sessionId)).status, 202)
+
+    await new Promise(resolve => setTimeout(resolve, 2000))
+
+    assert.equal((await post({ id: 2, method: 'tools/list' }, sessionId)).status, 404)
+  })
+})
@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('import formats', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('imports a Markdown task list with nested items as sub-steps', async () => {
+    const data = [
+      '# Migrate auth',
+      '',
+      '- [x] Set up the new provider',
+      '- [ ] Switch login',
+      '  - [x] Update the client library',
+      '  - [ ] Update the callback URL'
+    ].join('\n')
+
+    const plan = await server.call('import_change_plan', { data, format: 'markdown' })
+    assert.equal(plan.name, 'Migrate auth')
+    assert.deepEqual(
+      plan.steps.map(step => [step.id, step.title, step.status, step.parentId]),
+      [
+        ['0', 'Set up the new provider', 'done', undefined],
+        ['1', 'Switch login', 'pending', undefined],
+        ['2', 'Update the client library', 'done', '1'],
+        ['3', 'Update the callback URL', 'pending', '1']
+      ]
+    )
+  })
+
+  it('keeps dependencies and priorities when importing a Markdown export', async () => {
+    const original = await createPlan(server.call, 'round trip', ['a', { title: 'b', dependsOn: ['0'], priority: 'high' }])
+    const { document } = await server.call('export_change_plan', { id: original.id, format: 'markdown' })
+
+    const imported = await server.call('import_change_plan', { data: document, format: 'markdown' })
+    assert.notEqual(imported.id, original.id)
+
+    // High priority steps come first in the export, so the steps are renumbered
+    const byTitle = Object.fromEntries(imported.steps.map(step => [step.title, step]))
+    assert.equal(byTitle.b.priority, 'high')
+    assert.deepEqual(byTitle.b.dependsOn, [byTitle.a.id])
+  })
+
+  it('previews a YAML plan without importing it', async () => {
+    const data = [
+      'name: YAML plan',
+      'steps:',
+      '  - title: a',
+      '    done: true',
+      '  - title: b',
+      '    priority: high',
+      '    dependsOn: ["0"]',
+      '    steps:',
+      '      - title: b1'
+    ].join('\n')
+    const { total } = await server.call('get_change_plans')
+
+    const preview = await server.call('import_change_plan', { data, format: 'yaml', dryRun: true })
+    assert.equal(preview.dryRun, true)
+    assert.deepEqual(
+      { overwrites: preview.preview.overwrites, steps: preview.preview.steps, finishedSteps: preview.preview.finishedSteps },
+      { overwrites: false, steps: 3, finishedSteps: 1 }
+    )
+    assert.match(preview.preview.checklist, /\[ \] 1\. b \[after 0\]\n  \[ \] 2\. b1/)
+    assert.deepEqual(preview.steps.map(step => [step.id, step.description, step.parentId]), [['0', 'a', undefined], ['1', 'b', undefined], ['2', 'b1', '1']])
+
+    assert.equal((await server.call('get_change_plans')).total, total)
+  })
+
+  it('only replaces an existing plan with overwrite', async () => {
+    const plan = await createPlan(server.call, 'existing', ['a'])
+    const { changePlan } = await server.call('export_change_plan', { id: plan.id })
+    changePlan.name = 'replaced'
+
+    await assert.rejects(
+      server.call('import_change_plan', { data: JSON.stringify(changePlan) }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    const imported = await server.call('import_change_plan', { data: JSON.stringify(changePlan), overwrite: true })
+    assert.equal(imported.name, 'replaced')
+    assert.equal(imported.revision, 2)
+  })
+
+  it('rejects data it cannot parse', async () => {
+    for (const [data, format] of [['{', 'json'], ['- [ ] no heading', 'markdown'], ['steps: [', 'yaml']]) {
+      await assert.rejects(server.call('import_change_plan', { data, format }), { code: 'INVALID_INPUT' }, format)
+    }
+  })
+})
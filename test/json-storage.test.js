@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { startServer, createPlan, createTempDir } from './helpers.js'
+
+describe('JSON storage', () => {
+  it('leaves no temporary files behind and keeps the newest backups', async () => {
+    const server = await startServer({ env: { STORAGE_BACKUP_COUNT: '2' } })
+
+    try {
+      const plan = await createPlan(server.call, 'saved', ['a'])
+      for (let i = 0; i < 4; i++) {
+        await server.call('update_step', { planId: plan.id, stepId: '0', title: `a${i}` })
+      }
+
+      assert.deepEqual(fs.readdirSync(server.storageDir).filter(name => name.endsWith('.tmp')), [])
+      const stored = JSON.parse(fs.readFileSync(path.join(server.storageDir, 'change_plans.json'), 'utf8'))
+      assert.equal(stored[0].steps[0].title, 'a3')
+
+      const { backups } = await server.call('list_backups')
+      assert.equal(backups.length, 2)
+      assert.deepEqual(fs.readdirSync(path.join(server.storageDir, 'backups')).sort(), backups.map(backup => backup.name).sort())
+    } finally {
+      await server.close()
+    }
+  })
+
+  it('restores every plan from a backup', async () => {
+    const server = await startServer()
+
+    try {
+      const plan = await createPlan(server.call, 'restored', ['a'])
+      await server.call('update_step', { planId: plan.id, stepId: '0', title: 'changed' })
+      await createPlan(server.call, 'created later', ['x'])
+
+      // Newest first: the backups before creating the second plan and before the update
+      const { backups } = await server.call('list_backups')
+      const result = await server.call('restore_backup', { name: backups[1].name })
+      assert.equal(result.restoredPlans, 1)
+
+      const restored = await server.call('get_change_plan', { id: plan.id })
+      assert.equal(restored.steps[0].title, 'a')
+      assert.equal(restored.revision, 3)
+
+      await assert.rejects(server.call('restore_backup', { name: 'missing.json' }), { code: 'NOT_FOUND' })
+    } finally {
+      await server.close()
+    }
+  })
+
+  it('recovers from the newest valid backup when the file is corrupt', async () => {
+    const storageDir = createTempDir()
+    const first = await startServer({ storageDir })
+    const plan = await createPlan(first.call, 'recovered', ['a'])
+    await first.call('update_step', { planId: plan.id, stepId: '0', title: 'lost' })
+    await first.close()
+
+    fs.writeFileSync(path.join(storageDir, 'change_plans.json'), '[{"id": "trunc')
+
+    const second = await startServer({ storageDir })
+    try {
+      const recovered = await second.call('get_change_plan', { id: plan.id })
+      assert.equal(recovered.steps[0].title, 'a')
+      assert.ok(fs.readdirSync(storageDir).some(name => name.startsWith('change_plans.json.corrupt-')))
+    } finally {
+      await second.close()
+    }
+  })
+})
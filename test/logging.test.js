@@ -0,0 +1,64 @@
+import { describe, it, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js'
+import { startServer, createPlan, createTempDir } from './helpers.js'
+
+describe('logging', () => {
+  const servers = []
+  after(() => Promise.all(servers.map(server => server.close())))
+
+  it('keeps stdout for the protocol and sends log messages to clients from the level they set', async () => {
+    const server = await startServer({ env: { LOG_LEVEL: 'debug' } })
+    servers.push(server)
+    const errors = []
+    const messages = []
+    server.client.onerror = error => errors.push(error)
+    server.client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+      messages.push(notification.params)
+    })
+
+    await server.client.setLoggingLevel('error')
+    await createPlan(server.call, 'quiet', ['a'])
+    assert.deepEqual(messages, [])
+
+    await server.client.setLoggingLevel('debug')
+    await server.call('get_change_plans')
+    assert.ok(messages.some(message => message.level === 'debug' && /get_change_plans/.test(message.data.message)))
+
+    // The debug lines went to stderr, and nothing but protocol messages to stdout
+    assert.match(server.stderr(), /\[debug\] Calling tool create_change_plan/)
+    assert.deepEqual(errors, [])
+  })
+
+  it('writes JSON lines to LOG_FILE', async () => {
+    const logFile = path.join(createTempDir(), 'server.log')
+    const server = await startServer({ env: { LOG_FILE: logFile, LOG_FORMAT: 'json', LOG_LEVEL: 'info' } })
+    servers.push(server)
+
+    await createPlan(server.call, 'logged', ['a'])
+
+    const entries = fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    assert.ok(entries.length > 0)
+    for (const entry of entries) {
+      assert.equal(typeof entry.time, 'string')
+      assert.equal(typeof entry.message, 'string')
+      assert.ok(['info', 'notice', 'warning', 'error'].includes(entry.level))
+    }
+  })
+
+  it('falls back to stderr when LOG_FILE cannot be written to', async () => {
+    // A directory can't be appended to
+    const logFile = createTempDir()
+    const server = await startServer({ env: { LOG_FILE: logFile, LOG_LEVEL: 'info' } })
+    servers.push(server)
+
+    const plan = await createPlan(server.call, 'still works', ['a'])
+    assert.equal(plan.steps.length, 1)
+
+    const stderr = server.stderr()
+    assert.equal(stderr.split('Cannot write to log file').length - 1, 1)
+    assert.match(stderr, /\[info\] /)
+  })
+})
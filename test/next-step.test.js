@@ -0,0 +1,75 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('next step selection', () => {
+  let server
+  let plan
+
+  before(async () => {
+    server = await startServer()
+    // Step 0 unblocks the most work, step 1 has the highest priority and
+    // step 2 is due first
+    plan = await createPlan(server.call, 'strategies', [
+      { title: 'unblocker', priority: 'low', dueDate: '2031-01-01' },
+      { title: 'important', priority: 'high' },
+      { title: 'urgent', priority: 'medium', dueDate: '2030-01-01' },
+      { title: 'after unblocker', dependsOn: ['0'] },
+      { title: 'also after unblocker', dependsOn: ['0'] }
+    ])
+  })
+  after(() => server.close())
+
+  it('picks by priority by default and explains the pick', async () => {
+    const next = await server.call('get_next_step', { planId: plan.id })
+    assert.equal(next.step.id, '1')
+    assert.equal(next.strategy, 'priority')
+    assert.match(next.reason, /priority/)
+  })
+
+  it('picks by the strategy asked for', async () => {
+    for (const [strategy, weights, stepId] of [
+      ['critical_path', undefined, '0'],
+      ['due_date', undefined, '2'],
+      ['weighted', { downstream: 1 }, '0'],
+      ['weighted', { priority: 1 }, '1']
+    ]) {
+      const next = await server.call('get_next_step', { planId: plan.id, strategy, weights })
+      assert.equal(next.step.id, stepId, `${strategy} ${JSON.stringify(weights)}`)
+      assert.equal(next.strategy, strategy)
+    }
+  })
+
+  it('uses the strategy set for the plan', async () => {
+    const updated = await server.call('set_next_step_strategy', { planId: plan.id, strategy: 'due_date' })
+    assert.equal(updated.nextStepStrategy, 'due_date')
+
+    const next = await server.call('get_next_step', { planId: plan.id })
+    assert.equal(next.step.id, '2')
+    assert.equal(next.strategy, 'due_date')
+  })
+
+  it('breaks ties by the order of the steps', async () => {
+    const tied = await createPlan(server.call, 'tied', ['a', 'b', 'c'])
+    await server.call('reorder_steps', { planId: tied.id, stepIds: ['2', '0', '1'] })
+
+    assert.equal((await server.call('get_next_step', { planId: tied.id })).step.id, '2')
+  })
+
+  it('skips steps claimed by other agents', async () => {
+    const claimed = await createPlan(server.call, 'claimed next', [{ title: 'a', priority: 'high' }, 'b'])
+    await server.call('claim_step', { planId: claimed.id, stepId: '0', agentId: 'agent-1' })
+
+    assert.equal((await server.call('get_next_step', { planId: claimed.id, agentId: 'agent-2' })).step.id, '1')
+    assert.equal((await server.call('get_next_step', { planId: claimed.id, agentId: 'agent-1' })).step.id, '0')
+  })
+
+  it('returns no step when nothing is ready', async () => {
+    const blocked = await createPlan(server.call, 'blocked', ['a'])
+    await server.call('set_step_status', { planId: blocked.id, stepId: '0', status: 'blocked', reason: 'waiting' })
+
+    const next = await server.call('get_next_step', { planId: blocked.id })
+    assert.equal(next.step, null)
+    assert.deepEqual(next.incompleteSteps.map(step => step.id), ['0'])
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('plan listing pages', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+    for (const name of ['echo', 'delta', 'charlie', 'bravo', 'alpha']) {
+      await createPlan(server.call, name, ['a', 'b'])
+    }
+    await server.call('mark_step_complete', { planId: (await findPlan('charlie')).id, stepId: '0' })
+  })
+  after(() => server.close())
+
+  async function findPlan(name) {
+    const { changePlans } = await server.call('get_change_plans', { fields: ['name'] })
+    return changePlans.find(plan => plan.name === name)
+  }
+
+  // Follow the cursors through every page of a listing
+  async function listAll(tool, options, key = 'changePlans') {
+    const pages = []
+    let cursor
+    do {
+      const page = await server.call(tool, { ...options, ...(cursor ? { cursor } : {}) })
+      pages.push(page[key].map(plan => plan.name))
+      cursor = page.nextCursor
+    } while (cursor)
+    return pages
+  }
+
+  it('pages through the plans in the order asked for', async () => {
+    assert.deepEqual(
+      await listAll('get_change_plans', { sortBy: 'name', limit: 2, fields: ['name'] }),
+      [['alpha', 'bravo'], ['charlie', 'delta'], ['echo']]
+    )
+    assert.deepEqual(
+      await listAll('get_change_plans', { sortBy: 'createdAt', order: 'desc', limit: 3, fields: ['name'] }),
+      [['alpha', 'bravo', 'charlie'], ['delta', 'echo']]
+    )
+  })
+
+  it('does not skip plans when the previous page changes', async () => {
+    const first = await server.call('get_change_plans', { sortBy: 'name', limit: 2, fields: ['name'] })
+    const extra = await createPlan(server.call, 'aardvark', ['a'])
+
+    try {
+      const second = await server.call('get_change_plans', { sortBy: 'name', limit: 2, fields: ['name'], cursor: first.nextCursor })
+      assert.deepEqual(second.changePlans.map(plan => plan.name), ['charlie', 'delta'])
+      assert.equal(second.total, 6)
+    } finally {
+      await server.call('delete_change_plan', { id: extra.id })
+    }
+  })
+
+  it('returns only the fields asked for', async () => {
+    const { changePlans } = await server.call('get_change_plans', { fields: ['name', 'percentComplete'], sortBy: 'percentComplete', order: 'desc', limit: 1 })
+    assert.equal(changePlans.length, 1)
+    assert.deepEqual(Object.keys(changePlans[0]).sort(), ['id', 'name', 'percentComplete'])
+    assert.deepEqual(changePlans[0], { id: changePlans[0].id, name: 'charlie', percentComplete: 50 })
+  })
+
+  it('rejects cursors of another listing order and invalid cursors', async () => {
+    const { nextCursor } = await server.call('get_change_plans', { sortBy: 'name', limit: 2 })
+
+    await assert.rejects(
+      server.call('get_change_plans', { sortBy: 'updatedAt', limit: 2, cursor: nextCursor }),
+      { code: 'INVALID_INPUT' }
+    )
+    await assert.rejects(server.call('get_change_plans', { cursor: 'not-a-cursor' }), { code: 'INVALID_INPUT' })
+  })
+
+  it('pages through search results', async () => {
+    const pages = await listAll('search_change_plans', { searchTerm: 'a', sortBy: 'name', limit: 2, fields: ['name'] }, 'plans')
+    assert.deepEqual(pages, [['alpha', 'bravo'], ['charlie', 'delta']])
+
+    const { plans } = await server.call('search_change_plans', { stepStatus: 'done', fields: ['name'] })
+    assert.deepEqual(plans.map(plan => plan.name), ['charlie'])
+  })
+})
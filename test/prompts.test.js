@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('prompts', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  // The text of a prompt's only message
+  const getPromptText = async (name, args) => {
+    const { messages } = await server.client.getPrompt({ name, arguments: args })
+    assert.equal(messages.length, 1)
+    return messages[0].content.text
+  }
+
+  it('lists the prompts', async () => {
+    const { prompts } = await server.client.listPrompts()
+    assert.deepEqual(prompts.map(prompt => prompt.name).sort(), ['execute_next_step', 'plan_change', 'review_change_plan'])
+  })
+
+  it('asks for a create_change_plan payload for a goal', async () => {
+    const existing = await createPlan(server.call, 'existing plan', ['a'])
+
+    const text = await getPromptText('plan_change', { goal: 'Add dark mode', context: 'Use CSS variables' })
+    assert.match(text, /Add dark mode/)
+    assert.match(text, /Use CSS variables/)
+    assert.match(text, /create_change_plan/)
+    assert.ok(text.includes(`existing plan (ID ${existing.id})`))
+  })
+
+  it('embeds the next step and its finished dependencies', async () => {
+    const plan = await createPlan(server.call, 'execute', [
+      { title: 'Write the schema', priority: 'low' },
+      { title: 'Write the migration', dependsOn: ['0'] }
+    ])
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+
+    const text = await getPromptText('execute_next_step', { planId: plan.id })
+    assert.match(text, /Progress: 1 of 2 steps finished/)
+    assert.match(text, /## Step to execute\n\n### Step 1: Write the migration/)
+    assert.match(text, /## Finished dependencies\n\n### Step 0: Write the schema/)
+    assert.ok(text.includes(`planId "${plan.id}", stepId "1"`))
+  })
+
+  it('says when there is nothing left to execute', async () => {
+    const plan = await createPlan(server.call, 'finished', ['a'])
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+
+    assert.match(await getPromptText('execute_next_step', { planId: plan.id }), /All steps are completed/)
+  })
+
+  it('points out unfinished steps in a review', async () => {
+    const plan = await createPlan(server.call, 'review', ['a', 'b'])
+    await server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'skipped', reason: 'not needed' })
+
+    const text = await getPromptText('review_change_plan', { planId: plan.id })
+    assert.match(text, /1 step\(s\) are not finished yet: 1\./)
+    assert.match(text, /not needed/)
+  })
+
+  it('fails for a plan that does not exist', async () => {
+    await assert.rejects(server.client.getPrompt({ name: 'review_change_plan', arguments: { planId: 'missing' } }))
+  })
+})
@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { ResourceListChangedNotificationSchema, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js'
+import { startServer, createPlan } from './helpers.js'
+
+// Wait until a condition holds, for notifications that arrive asynchronously
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (condition()) {
+      return
+    }
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+  assert.fail('Timed out waiting for a notification')
+}
+
+describe('plan resources', () => {
+  let server
+  const updated = []
+  let listChanged = 0
+
+  before(async () => {
+    server = await startServer()
+    server.client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updated.push(notification.params.uri)
+    })
+    server.client.setNotificationHandler(ResourceListChangedNotificationSchema, () => { listChanged++ })
+  })
+  after(() => server.close())
+
+  it('lists every plan as a resource', async () => {
+    const plan = await createPlan(server.call, 'listed', ['a'])
+
+    const { resources } = await server.client.listResources()
+    assert.ok(resources.some(resource => resource.uri === 'change-plan://plans'))
+    assert.ok(resources.some(resource => resource.uri === `change-plan://plans/${plan.id}`))
+  })
+
+  it('reads the listing and a single plan as JSON', async () => {
+    const plan = await createPlan(server.call, 'read', ['a', 'b'])
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+
+    const listing = await server.client.readResource({ uri: 'change-plan://plans' })
+    const entry = JSON.parse(listing.contents[0].text).find(p => p.id === plan.id)
+    assert.equal(entry.totalSteps, 2)
+    assert.equal(entry.finishedSteps, 1)
+
+    const single = await server.client.readResource({ uri: `change-plan://plans/${plan.id}` })
+    assert.equal(single.contents[0].mimeType, 'application/json')
+    assert.deepEqual(JSON.parse(single.contents[0].text).steps.map(step => step.status), ['done', 'pending'])
+  })
+
+  it('notifies subscribers of changes to a plan', async () => {
+    const plan = await createPlan(server.call, 'subscribed', ['a'])
+    const other = await createPlan(server.call, 'not subscribed', ['x'])
+    const uri = `change-plan://plans/${plan.id}`
+    await server.client.subscribeResource({ uri })
+
+    updated.length = 0
+    await server.call('update_step', { planId: other.id, stepId: '0', title: 'X' })
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'A' })
+    await waitFor(() => updated.includes(uri))
+    assert.ok(!updated.includes(`change-plan://plans/${other.id}`))
+
+    await server.client.unsubscribeResource({ uri })
+    updated.length = 0
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'AA' })
+    await server.call('get_change_plans')
+    assert.ok(!updated.includes(uri))
+  })
+
+  it('announces plans being created and deleted', async () => {
+    const before = listChanged
+    const plan = await createPlan(server.call, 'announced', ['a'])
+    await waitFor(() => listChanged > before)
+
+    const afterCreate = listChanged
+    await server.call('delete_change_plan', { id: plan.id })
+    await waitFor(() => listChanged > afterCreate)
+  })
+
+  it('reports a missing plan', async () => {
+    await assert.rejects(server.client.readResource({ uri: 'change-plan://plans/missing' }))
+  })
+})
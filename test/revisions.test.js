@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('plan revisions', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('increments the revision on every change', async () => {
+    const plan = await createPlan(server.call, 'counted', ['a'])
+    assert.equal(plan.revision, 1)
+
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'A', expectedRevision: 1 })
+    await server.call('add_step', { planId: plan.id, title: 'b', description: 'b', expectedRevision: 2 })
+
+    assert.equal((await server.call('get_change_plan', { id: plan.id })).revision, 3)
+  })
+
+  it('rejects a change made against an older revision with CONFLICT', async () => {
+    const plan = await createPlan(server.call, 'contested', ['a'])
+    await server.call('update_step', { planId: plan.id, stepId: '0', title: 'first agent' })
+
+    for (const [tool, args] of [
+      ['update_step', { stepId: '0', title: 'second agent' }],
+      ['add_step', { title: 'b', description: 'b' }],
+      ['mark_step_complete', { stepId: '0' }]
+    ]) {
+      await assert.rejects(
+        server.call(tool, { planId: plan.id, ...args, expectedRevision: 1 }),
+        error => error.code === 'CONFLICT' && error.details.currentRevision === 2
+      )
+    }
+    await assert.rejects(
+      server.call('delete_change_plan', { id: plan.id, expectedRevision: 1 }),
+      { code: 'CONFLICT' }
+    )
+
+    const stored = await server.call('get_change_plan', { id: plan.id })
+    assert.equal(stored.steps[0].title, 'first agent')
+    assert.equal(stored.steps.length, 1)
+  })
+
+  it('leaves the step untouched when update_step is rejected', async () => {
+    const plan = await createPlan(server.call, 'rejected', ['a', 'b'])
+
+    await assert.rejects(
+      server.call('update_step', { planId: plan.id, stepId: '0', title: 'CHANGED', dependsOn: ['nope'] }),
+      { code: 'INVALID_INPUT' }
+    )
+    await assert.rejects(
+      server.call('update_step', { planId: plan.id, stepId: '1', title: 'CHANGED', priority: 'high', status: 'failed', reason: 'x' }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    const stored = await server.call('get_change_plan', { id: plan.id })
+    assert.deepEqual(stored.steps.map(step => [step.title, step.priority]), [['a', 'medium'], ['b', 'medium']])
+    assert.equal(stored.revision, 1)
+  })
+
+  it('checks a status change against the dependencies set in the same update', async () => {
+    const plan = await createPlan(server.call, 'together', ['a', 'b'])
+
+    await assert.rejects(
+      server.call('update_step', { planId: plan.id, stepId: '1', dependsOn: ['0'], status: 'done' }),
+      { code: 'INVALID_INPUT', message: /unfinished dependencies: 0/ }
+    )
+    assert.deepEqual((await server.call('get_change_plan', { id: plan.id })).steps[1].dependsOn, [])
+  })
+})
@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('step search', () => {
+  let server
+  let plan
+
+  before(async () => {
+    server = await startServer()
+    plan = await createPlan(server.call, 'database', [
+      { title: 'Run the migration', description: 'Apply the schema migration behind a feature flag', priority: 'high' },
+      { title: 'Remove the feature flag', description: 'Clean up', context: 'after the migration' },
+      'Unrelated'
+    ])
+  })
+  after(() => server.close())
+
+  const search = async query => server.call('search_steps', { query })
+
+  it('ranks title matches above matches in other fields, with snippets', async () => {
+    const { total, results } = await search('migration')
+
+    assert.equal(total, 2)
+    assert.deepEqual(results.map(result => [result.stepId, result.matchedField]), [['0', 'title'], ['1', 'context']])
+    assert.ok(results[0].score > results[1].score)
+    assert.equal(results[0].snippet, 'Run the **migration**')
+    assert.equal(results[1].planName, 'database')
+  })
+
+  it('matches phrases and filters together', async () => {
+    const { results } = await search('"feature flag" priority:high')
+
+    assert.deepEqual(results.map(result => result.stepId), ['0'])
+    assert.equal(results[0].snippet, 'Apply the schema migration behind a **feature flag**')
+  })
+
+  it('finds steps by filters alone', async () => {
+    const { total } = await search(`plan:${plan.id} status:pending`)
+    assert.equal(total, 3)
+  })
+
+  it('keeps the index up to date as steps change', async () => {
+    const other = await createPlan(server.call, 'docs', ['Unindexed'])
+    assert.equal((await search('handbook')).total, 0)
+
+    await server.call('update_step', { planId: other.id, stepId: '0', title: 'Write the handbook' })
+    assert.deepEqual((await search('handbook')).results.map(result => result.planId), [other.id])
+
+    await server.call('delete_step', { planId: other.id, stepId: '0' })
+    assert.equal((await search('handbook')).total, 0)
+  })
+
+  it('sees steps saved by another process', async () => {
+    const second = await startServer({ storageDir: server.storageDir })
+
+    try {
+      await createPlan(second.call, 'elsewhere', ['Configure the load balancer'])
+      assert.equal((await search('balancer')).total, 1)
+    } finally {
+      await second.close()
+    }
+  })
+
+  it('rejects unknown filter values', async () => {
+    await assert.rejects(search('priority:urgent'), { code: 'INVALID_INPUT' })
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { startServer, createPlan, createTempDir } from './helpers.js'
+
+describe('processes sharing a JSON store', () => {
+  let storageDir
+  let first
+  let second
+
+  before(async () => {
+    storageDir = createTempDir()
+    first = await startServer({ storageDir })
+    second = await startServer({ storageDir })
+  })
+  after(() => Promise.all([first.close(), second.close()]))
+
+  const lockPath = () => path.join(storageDir, 'change_plans.json.lock')
+
+  it('picks up the changes of the other process', async () => {
+    const plan = await createPlan(first.call, 'shared', ['a'])
+
+    await second.call('update_step', { planId: plan.id, stepId: '0', title: 'changed by second' })
+
+    const seen = await first.call('get_change_plan', { id: plan.id })
+    assert.equal(seen.steps[0].title, 'changed by second')
+    assert.equal(seen.revision, 2)
+  })
+
+  it('keeps the changes both processes save at the same time', async () => {
+    const created = await Promise.all(Array.from({ length: 10 }, (_, index) =>
+      createPlan(index % 2 === 0 ? first.call : second.call, `concurrent ${index}`, ['a'])
+    ))
+
+    const { changePlans } = await first.call('get_change_plans')
+    for (const plan of created) {
+      assert.ok(changePlans.some(stored => stored.id === plan.id), `plan ${plan.name} was lost`)
+    }
+    assert.ok(!fs.existsSync(lockPath()))
+  })
+
+  it('removes a lock left behind by a process that is gone', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', ''])
+    fs.writeFileSync(lockPath(), JSON.stringify({ pid, createdAt: new Date().toISOString() }))
+
+    await createPlan(first.call, 'after stale lock', ['a'])
+    assert.ok(!fs.existsSync(lockPath()))
+  })
+
+  it('waits for a lock held by a live process and gives up with STORAGE_ERROR', async () => {
+    fs.writeFileSync(lockPath(), JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }))
+
+    try {
+      await assert.rejects(createPlan(first.call, 'blocked', ['a']), { code: 'STORAGE_ERROR' })
+    } finally {
+      fs.rmSync(lockPath(), { force: true })
+    }
+  })
+})
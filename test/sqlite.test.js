@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { startServer, createPlan, createTempDir } from './helpers.js'
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false)
+const env = { STORAGE_BACKEND: 'sqlite' }
+
+describe('SQLite storage', { skip: !hasSqlite && 'node:sqlite is not available' }, () => {
+  it('stores plans and steps as rows and loads them again', async () => {
+    const storageDir = createTempDir()
+    const first = await startServer({ storageDir, env })
+    const plan = await createPlan(first.call, 'persisted', ['a', { title: 'b', dependsOn: ['0'] }])
+    await first.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+    await first.close()
+
+    assert.ok(fs.existsSync(path.join(storageDir, 'change_plans.db')))
+    assert.ok(!fs.existsSync(path.join(storageDir, 'change_plans.json')))
+
+    const { DatabaseSync } = await import('node:sqlite')
+    const db = new DatabaseSync(path.join(storageDir, 'change_plans.db'), { readOnly: true })
+    const rows = db.prepare('SELECT id, position FROM steps WHERE plan_id = ? ORDER BY position').all(plan.id)
+    db.close()
+    assert.deepEqual(rows.map(row => row.id), ['0', '1'])
+
+    const second = await startServer({ storageDir, env })
+    try {
+      const loaded = await second.call('get_change_plan', { id: plan.id })
+      assert.deepEqual(loaded.steps.map(step => step.status), ['done', 'pending'])
+      assert.equal(loaded.revision, 2)
+    } finally {
+      await second.close()
+    }
+  })
+
+  it('shares plans between processes using the same database', async () => {
+    const storageDir = createTempDir()
+    const first = await startServer({ storageDir, env })
+    const second = await startServer({ storageDir, env })
+
+    try {
+      const plan = await createPlan(first.call, 'shared', ['a'])
+      await second.call('update_step', { planId: plan.id, stepId: '0', title: 'changed by second' })
+
+      const seen = await first.call('get_change_plan', { id: plan.id })
+      assert.equal(seen.steps[0].title, 'changed by second')
+      await assert.rejects(
+        first.call('update_step', { planId: plan.id, stepId: '0', title: 'stale', expectedRevision: 1 }),
+        { code: 'CONFLICT' }
+      )
+    } finally {
+      await first.close()
+      await second.close()
+    }
+  })
+
+  it('keeps templates in the database', async () => {
+    const storageDir = createTempDir()
+    const first = await startServer({ storageDir, env })
+    const plan = await createPlan(first.call, 'template source', ['a'])
+    await first.call('save_plan_as_template', { planId: plan.id, name: 'stored' })
+    await first.close()
+
+    const second = await startServer({ storageDir, env })
+    try {
+      const { templates } = await second.call('list_templates')
+      assert.deepEqual(templates.map(template => template.name), ['stored'])
+    } finally {
+      await second.close()
+    }
+  })
+})
+
+describe('SQLite storage without node:sqlite', { skip: hasSqlite && 'node:sqlite is available' }, () => {
+  it('falls back to the JSON file', async () => {
+    const server = await startServer({ env })
+
+    try {
+      await createPlan(server.call, 'fallback', ['a'])
+      assert.ok(fs.existsSync(path.join(server.storageDir, 'change_plans.json')))
+    } finally {
+      await server.close()
+    }
+  })
+})
@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('step IDs', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('never reuses the ID of a deleted step', async () => {
+    const plan = await createPlan(server.call, 'ids', ['a', 'b'])
+    await server.call('delete_step', { planId: plan.id, stepId: '1' })
+
+    const step = await server.call('add_step', { planId: plan.id, title: 'c', description: 'c' })
+    assert.equal(step.id, '2')
+  })
+
+  it('keeps step IDs when steps are reordered', async () => {
+    const plan = await createPlan(server.call, 'reordered', ['a', 'b', 'c'])
+    await server.call('reorder_steps', { planId: plan.id, stepIds: ['2', '0', '1'] })
+
+    const stored = await server.call('get_change_plan', { id: plan.id })
+    assert.deepEqual(stored.steps.map(step => [step.id, step.title]), [['2', 'c'], ['0', 'a'], ['1', 'b']])
+  })
+
+  it('refuses to delete a step other steps depend on unless cascading', async () => {
+    const plan = await createPlan(server.call, 'dependents', ['a', { title: 'b', dependsOn: ['0'] }, 'c'])
+
+    await assert.rejects(
+      server.call('delete_step', { planId: plan.id, stepId: '0' }),
+      error => error.code === 'INVALID_INPUT' && error.details.dependents.includes('1')
+    )
+
+    const result = await server.call('delete_step', { planId: plan.id, stepId: '0', cascade: true })
+    assert.deepEqual(result.deletedStepIds.sort(), ['0', '1'])
+
+    const stored = await server.call('get_change_plan', { id: plan.id })
+    assert.deepEqual(stored.steps.map(step => step.id), ['2'])
+  })
+
+  it('rejects a reordering that leaves out or repeats steps', async () => {
+    const plan = await createPlan(server.call, 'partial order', ['a', 'b', 'c'])
+
+    for (const stepIds of [['2', '0'], ['2', '0', '0'], ['2', '0', '1', '3']]) {
+      await assert.rejects(
+        server.call('reorder_steps', { planId: plan.id, stepIds }),
+        { code: 'INVALID_INPUT' }
+      )
+    }
+  })
+
+  it('moves a step with its status to another plan', async () => {
+    const source = await createPlan(server.call, 'status source', ['a', 'b'])
+    const target = await createPlan(server.call, 'status target', ['x'])
+    await server.call('set_step_status', { planId: source.id, stepId: '1', status: 'in_progress' })
+
+    const moved = await server.call('move_step', { planId: source.id, stepId: '1', targetPlanId: target.id, dependsOn: ['0'] })
+    assert.equal(moved.step.status, 'in_progress')
+    assert.deepEqual(moved.step.dependsOn, ['0'])
+
+    const stored = await server.call('get_change_plan', { id: source.id })
+    assert.deepEqual(stored.steps.map(step => step.id), ['0'])
+  })
+
+  it('does not use up an ID when add_step is rejected', async () => {
+    const plan = await createPlan(server.call, 'rejected add', ['a'])
+
+    await assert.rejects(
+      server.call('add_step', { planId: plan.id, title: 'b', description: 'b', dependsOn: ['missing'] }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    const step = await server.call('add_step', { planId: plan.id, title: 'b', description: 'b' })
+    assert.equal(step.id, '1')
+  })
+
+  it('does not use up an ID of the target plan when move_step is rejected', async () => {
+    const source = await createPlan(server.call, 'move source', ['a'])
+    const target = await createPlan(server.call, 'move target', ['x'])
+
+    await assert.rejects(
+      server.call('move_step', { planId: source.id, stepId: '0', targetPlanId: target.id, dependsOn: ['missing'] }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    const moved = await server.call('move_step', { planId: source.id, stepId: '0', targetPlanId: target.id })
+    assert.equal(moved.step.id, '1')
+    assert.equal(moved.previousId, '0')
+  })
+
+  it('continues after the IDs the target plan of a move has used', async () => {
+    const source = await createPlan(server.call, 'second source', ['a'])
+    const target = await createPlan(server.call, 'second target', ['x', 'y'])
+    await server.call('delete_step', { planId: target.id, stepId: '1' })
+
+    const moved = await server.call('move_step', { planId: source.id, stepId: '0', targetPlanId: target.id })
+    assert.equal(moved.step.id, '2')
+  })
+
+  it('keeps the counter of a plan overwritten by an import', async () => {
+    const plan = await createPlan(server.call, 'overwritten', ['a', 'b', 'c'])
+    await server.call('delete_step', { planId: plan.id, stepId: '2' })
+
+    const { changePlan } = await server.call('export_change_plan', { id: plan.id })
+    delete changePlan.nextStepId
+    changePlan.steps = changePlan.steps.slice(0, 1)
+    await server.call('import_change_plan', { data: JSON.stringify(changePlan), overwrite: true })
+
+    const step = await server.call('add_step', { planId: plan.id, title: 'd', description: 'd' })
+    assert.equal(step.id, '3')
+  })
+
+  it('continues after the highest imported step ID even if the counter is lower', async () => {
+    const plan = await createPlan(server.call, 'stale counter', ['a'])
+    const { changePlan } = await server.call('export_change_plan', { id: plan.id })
+    changePlan.id = 'stale-counter-copy'
+    changePlan.nextStepId = 1
+    changePlan.steps.push({ ...changePlan.steps[0], id: '7', title: 'seven' })
+    await server.call('import_change_plan', { data: JSON.stringify(changePlan) })
+
+    const step = await server.call('add_step', { planId: 'stale-counter-copy', title: 'b', description: 'b' })
+    assert.equal(step.id, '8')
+  })
+
+  it('does not reuse step IDs after restoring a backup', async () => {
+    const plan = await createPlan(server.call, 'backed up', ['a'])
+    await server.call('add_step', { planId: plan.id, title: 'b', description: 'b' })
+
+    // The newest backup is of the plans before the last save
+    const { backups } = await server.call('list_backups')
+    await server.call('restore_backup', { name: backups[0].name })
+    assert.deepEqual((await server.call('get_change_plan', { id: plan.id })).steps.map(step => step.id), ['0'])
+
+    const step = await server.call('add_step', { planId: plan.id, title: 'c', description: 'c' })
+    assert.equal(step.id, '2')
+  })
+})
@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { startServer, createPlan, createTempDir } from './helpers.js'
+
+describe('step lifecycle states', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('starts steps as pending and records every status change', async () => {
+    const plan = await createPlan(server.call, 'lifecycle', ['a'])
+    assert.equal(plan.steps[0].status, 'pending')
+
+    await server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'in_progress' })
+    const { step } = await server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'done' })
+
+    assert.equal(step.status, 'done')
+    assert.ok(step.completedAt)
+    assert.deepEqual(step.statusHistory.map(entry => entry.status), ['pending', 'in_progress', 'done'])
+  })
+
+  it('rejects transitions the state machine does not allow', async () => {
+    const plan = await createPlan(server.call, 'transitions', ['a'])
+    await server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'skipped' })
+
+    await assert.rejects(
+      server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'done' }),
+      error => error.code === 'INVALID_INPUT' && /from 'skipped' to 'done'/.test(error.message)
+    )
+  })
+
+  it('requires a reason for blocked and failed', async () => {
+    const plan = await createPlan(server.call, 'reasons', ['a'])
+
+    await assert.rejects(
+      server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'blocked' }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    const { step } = await server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'blocked', reason: 'waiting for review' })
+    assert.equal(step.statusReason, 'waiting for review')
+  })
+
+  it('only starts or finishes a step once its dependencies are finished', async () => {
+    const plan = await createPlan(server.call, 'ordered', ['a', { title: 'b', dependsOn: ['0'] }])
+
+    for (const status of ['in_progress', 'done']) {
+      await assert.rejects(
+        server.call('set_step_status', { planId: plan.id, stepId: '1', status }),
+        { code: 'INVALID_INPUT' }
+      )
+    }
+
+    // A skipped dependency counts as finished
+    await server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'skipped' })
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '1' })
+  })
+
+  it('migrates stored steps with the completed flag', async () => {
+    const storageDir = createTempDir()
+    fs.writeFileSync(path.join(storageDir, 'change_plans.json'), JSON.stringify([{
+      id: 'legacy',
+      name: 'legacy',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      steps: [
+        { id: '0', title: 'a', description: 'a', context: '', dependsOn: [], completed: true, createdAt: '2024-01-01T00:00:00.000Z', completedAt: '2024-01-02T00:00:00.000Z' },
+        { id: '1', title: 'b', description: 'b', context: '', dependsOn: ['0'], completed: false, createdAt: '2024-01-01T00:00:00.000Z' }
+      ]
+    }]))
+    const legacy = await startServer({ storageDir })
+
+    try {
+      const plan = await legacy.call('get_change_plan', { id: 'legacy' })
+      assert.deepEqual(plan.steps.map(step => step.status), ['done', 'pending'])
+      assert.ok(plan.steps.every(step => !('completed' in step)))
+      assert.equal(plan.steps[0].completedAt, '2024-01-02T00:00:00.000Z')
+    } finally {
+      await legacy.close()
+    }
+  })
+})
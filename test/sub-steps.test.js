@@ -0,0 +1,101 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('sub-steps and sub-plans', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  // The status of each step of a plan, by step ID
+  const getStatuses = async planId => Object.fromEntries(
+    (await server.call('get_change_plan', { id: planId })).steps.map(step => [step.id, step.status])
+  )
+
+  it('completes a parent once all its sub-steps are finished', async () => {
+    const plan = await createPlan(server.call, 'tree', ['parent', { title: 'c1', parentId: '0' }, { title: 'c2', parentId: '0' }])
+
+    await assert.rejects(
+      server.call('mark_step_complete', { planId: plan.id, stepId: '0' }),
+      error => error.code === 'INVALID_INPUT' && /unfinished sub-steps: 1, 2/.test(error.message)
+    )
+
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '1' })
+    assert.equal((await getStatuses(plan.id))['0'], 'pending')
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '2' })
+    assert.equal((await getStatuses(plan.id))['0'], 'done')
+
+    // New work under a finished parent reopens it
+    await server.call('add_step', { planId: plan.id, title: 'c3', description: 'c3', parentId: '0' })
+    assert.equal((await getStatuses(plan.id))['0'], 'pending')
+  })
+
+  it('skips the unfinished sub-steps of a skipped parent', async () => {
+    const plan = await createPlan(server.call, 'skipped tree', ['parent', { title: 'c1', parentId: '0' }, { title: 'c2', parentId: '0' }])
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '1' })
+
+    await server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'skipped' })
+    assert.deepEqual(await getStatuses(plan.id), { 0: 'skipped', 1: 'done', 2: 'skipped' })
+  })
+
+  it('works on sub-steps before their parent, and on the parent\'s dependencies before both', async () => {
+    const plan = await createPlan(server.call, 'ordered tree', [
+      'first',
+      { title: 'parent', dependsOn: ['0'] },
+      { title: 'child', parentId: '1' }
+    ])
+
+    assert.equal((await server.call('get_next_step', { planId: plan.id })).step.id, '0')
+    await assert.rejects(
+      server.call('set_step_status', { planId: plan.id, stepId: '2', status: 'in_progress' }),
+      { code: 'INVALID_INPUT' }
+    )
+
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+    assert.equal((await server.call('get_next_step', { planId: plan.id })).step.id, '2')
+  })
+
+  it('finishes a step when its sub-plan is finished', async () => {
+    const sub = await createPlan(server.call, 'sub', ['s1'])
+    const main = await createPlan(server.call, 'main', [{ title: 'via sub-plan', subPlanId: sub.id }, { title: 'later', dependsOn: ['0'] }])
+
+    const next = await server.call('get_next_step', { planId: main.id })
+    assert.equal(next.step.title, 's1')
+    assert.equal(next.planId, sub.id)
+
+    await server.call('mark_step_complete', { planId: sub.id, stepId: '0' })
+    assert.deepEqual(await getStatuses(main.id), { 0: 'done', 1: 'pending' })
+
+    await server.call('add_step', { planId: sub.id, title: 's2', description: 's2' })
+    assert.deepEqual(await getStatuses(main.id), { 0: 'pending', 1: 'pending' })
+  })
+
+  it('rejects sub-plan cycles and deleting a plan in use as a sub-plan', async () => {
+    const sub = await createPlan(server.call, 'inner', ['s1'])
+    const main = await createPlan(server.call, 'outer', [{ title: 'via inner', subPlanId: sub.id }])
+
+    await assert.rejects(
+      server.call('update_step', { planId: sub.id, stepId: '0', subPlanId: main.id }),
+      { code: 'INVALID_INPUT' }
+    )
+    await assert.rejects(server.call('delete_change_plan', { id: sub.id }), { code: 'INVALID_INPUT' })
+    await server.call('delete_change_plan', { id: sub.id, force: true })
+  })
+
+  it('refuses to revert to a version that would make a sub-plan cycle', async () => {
+    const first = await createPlan(server.call, 'first', ['a'])
+    const second = await createPlan(server.call, 'second', ['b'])
+
+    await server.call('update_step', { planId: first.id, stepId: '0', subPlanId: second.id })
+    await server.call('update_step', { planId: first.id, stepId: '0', subPlanId: null })
+    await server.call('update_step', { planId: second.id, stepId: '0', subPlanId: first.id })
+
+    await assert.rejects(
+      server.call('revert_to_revision', { planId: first.id, revision: 2 }),
+      error => error.code === 'INVALID_INPUT' && /cannot be a sub-plan/.test(error.message)
+    )
+    await assert.rejects(server.call('undo_last_change', { planId: first.id }), { code: 'INVALID_INPUT' })
+    assert.equal((await server.call('get_change_plan', { id: first.id })).steps[0].subPlanId, undefined)
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('plan summaries', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('summarises the progress of a plan', async () => {
+    const plan = await createPlan(server.call, 'summarised', [
+      { title: 'a', priority: 'high' },
+      'b',
+      { title: 'c', dependsOn: ['0'] },
+      'd'
+    ])
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+    await server.call('set_step_status', { planId: plan.id, stepId: '1', status: 'blocked', reason: 'needs access' })
+
+    const summary = await server.call('get_plan_summary', { id: plan.id })
+    assert.equal(summary.name, 'summarised')
+    assert.equal(summary.totalSteps, 4)
+    assert.equal(summary.finishedSteps, 1)
+    assert.equal(summary.percentComplete, 25)
+    assert.equal(summary.stepsByStatus.done, 1)
+    assert.equal(summary.stepsByStatus.blocked, 1)
+    assert.equal(summary.stepsByStatus.pending, 2)
+    assert.deepEqual(summary.stepsByPriority, { high: 1, medium: 3, low: 0 })
+    assert.equal(summary.readySteps, 2)
+    assert.deepEqual(summary.blockedSteps, [{ stepId: '1', title: 'b', reason: 'needs access' }])
+    assert.ok(summary.secondsSinceLastActivity >= 0)
+    assert.ok(summary.averageCycleTimeSeconds >= 0)
+  })
+
+  it('has no cycle time before any step is done', async () => {
+    const plan = await createPlan(server.call, 'untouched', ['a'])
+
+    const summary = await server.call('get_plan_summary', { id: plan.id })
+    assert.equal(summary.percentComplete, 0)
+    assert.equal(summary.averageCycleTimeSeconds, null)
+  })
+
+  it('lists plans as summaries', async () => {
+    const { changePlans } = await server.call('get_change_plans', { summary: true })
+
+    const listed = changePlans.find(plan => plan.name === 'summarised')
+    assert.equal(listed.percentComplete, 25)
+    assert.equal(listed.steps, undefined)
+  })
+
+  it('reports an unknown plan', async () => {
+    await assert.rejects(server.call('get_plan_summary', { id: 'missing' }), { code: 'NOT_FOUND' })
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createPlan } from './helpers.js'
+
+describe('plan templates', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('creates plans from a template with variables and options', async () => {
+    const plan = await createPlan(server.call, 'Release {{version}}', [
+      'Bump to {{version}}',
+      { title: 'Write changelog', dependsOn: ['0'] },
+      { title: 'Publish', dependsOn: ['1'] }
+    ])
+    await server.call('mark_step_complete', { planId: plan.id, stepId: '0' })
+
+    const template = await server.call('save_plan_as_template', {
+      planId: plan.id,
+      name: 'release',
+      variables: [{ name: 'version', default: '1.0.0' }],
+      options: [{ name: 'changelog', stepIds: ['1'], default: false }]
+    })
+    assert.deepEqual(template.variables.map(variable => variable.name), ['version'])
+    assert.deepEqual(template.droppedLinks, [])
+
+    const created = await server.call('create_plan_from_template', { template: 'release', variables: { version: '2.0.0' } })
+    assert.equal(created.name, 'Release 2.0.0')
+    assert.deepEqual(created.steps.map(step => step.title), ['Bump to 2.0.0', 'Publish'])
+    assert.deepEqual(created.steps[1].dependsOn, [created.steps[0].id])
+    assert.ok(created.steps.every(step => step.status === 'pending'))
+
+    const named = await server.call('create_plan_from_template', { template: 'release', name: 'Ship {{version}}' })
+    assert.equal(named.name, 'Ship 1.0.0')
+    await assert.rejects(
+      server.call('create_plan_from_template', { template: 'release', name: 'Run {{other}} for {{version}}' }),
+      error => error.code === 'INVALID_INPUT' && /other/.test(error.message)
+    )
+  })
+
+  it('reports the cross-plan dependencies and sub-plans it leaves out', async () => {
+    const other = await createPlan(server.call, 'other', ['x'])
+    const sub = await createPlan(server.call, 'sub', ['y'])
+    const plan = await createPlan(server.call, 'linked', [
+      { title: 'a', dependsOn: [`${other.id}:0`] },
+      { title: 'b', dependsOn: ['0'], subPlanId: sub.id }
+    ])
+
+    const template = await server.call('save_plan_as_template', { planId: plan.id, name: 'linked' })
+    assert.deepEqual(template.droppedLinks, [
+      { stepId: '0', type: 'dependency', target: `${other.id}:0` },
+      { stepId: '1', type: 'subPlan', target: sub.id }
+    ])
+    assert.deepEqual(template.steps.map(step => step.dependsOn), [[], ['0']])
+
+    const { templates } = await server.call('list_templates', { includeSteps: true })
+    assert.equal(templates.find(t => t.name === 'linked').droppedLinks, undefined)
+  })
+
+  it('rejects a variable that no placeholder uses', async () => {
+    const plan = await createPlan(server.call, 'plain', ['a'])
+
+    await assert.rejects(
+      server.call('save_plan_as_template', { planId: plan.id, name: 'plain', variables: [{ name: 'unused' }] }),
+      { code: 'INVALID_INPUT' }
+    )
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { startServer, createPlan } from './helpers.js'
+
+describe('tool errors and structured output', () => {
+  let server
+
+  before(async () => { server = await startServer() })
+  after(() => server.close())
+
+  it('returns structured content matching the output schema', async () => {
+    const plan = await createPlan(server.call, 'structured', ['a'])
+    const result = await server.client.callTool({ name: 'get_change_plan', arguments: { id: plan.id } })
+
+    assert.equal(result.isError, undefined)
+    assert.equal(result.structuredContent.id, plan.id)
+    assert.deepEqual(JSON.parse(result.content[0].text), result.structuredContent)
+  })
+
+  it('flags failures with isError and a machine-readable code', async () => {
+    const result = await server.client.callTool({ name: 'get_change_plan', arguments: { id: 'missing' } })
+    const error = JSON.parse(result.content[0].text)
+
+    assert.equal(result.isError, true)
+    assert.equal(error.code, 'NOT_FOUND')
+  })
+
+  it('reports errors raised by validation helpers with their details and no stack', async () => {
+    const plan = await createPlan(server.call, 'typed', ['a', 'b'])
+
+    await assert.rejects(
+      server.call('update_step', { planId: plan.id, stepId: '0', dependsOn: ['0'] }),
+      error => error.code === 'INVALID_INPUT' && error.details === undefined
+    )
+    await assert.rejects(
+      server.call('mark_step_complete', { planId: plan.id, stepId: '0', expectedRevision: 99 }),
+      error => error.code === 'CONFLICT' && error.details.currentRevision === plan.revision
+    )
+    await assert.rejects(
+      server.call('set_step_status', { planId: plan.id, stepId: '0', status: 'failed', reason: 'x' }),
+      error => error.code === 'INVALID_INPUT' && /from 'pending' to 'failed'/.test(error.message)
+    )
+  })
+  it('reports a failed save as a STORAGE_ERROR', async () => {
+    const plan = await createPlan(server.call, 'unsaved', ['a'])
+
+    // Appending to the history fails once its file is a directory
+    const historyFile = path.join(server.storageDir, 'change_plan_history.jsonl')
+    fs.rmSync(historyFile)
+    fs.mkdirSync(historyFile)
+
+    try {
+      await assert.rejects(
+        server.call('add_step', { planId: plan.id, title: 'b', description: 'b' }),
+        { code: 'STORAGE_ERROR', message: /Failed to save changes to storage/ }
+      )
+    } finally {
+      fs.rmdirSync(historyFile)
+    }
+  })
+})